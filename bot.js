@@ -1,21 +1,32 @@
 // ============================================================================
 // BOT.JS — DISCORD BOT WITH ONBOARDING ROLES, NICKNAME BADGES, LEVELING (TEXT+VOICE)
-// CHANNEL ROUTING + ERROR-ONLY LOGGING + SEPARATE TOPS (TEXT / VOICE)
+// CHANNEL ROUTING + MODERATION/ERROR LOGGING + SEPARATE TOPS (TEXT / VOICE)
 // 
-// REQUIREMENTS: Node 18+, discord.js v14, dotenv, ms, express
+// REQUIREMENTS: Node 18+, discord.js v14, dotenv, ms, express, @napi-rs/canvas (rank cards)
 // SETUP:
 //   npm init -y
-//   npm i discord.js dotenv ms express
+//   npm i discord.js dotenv ms express @napi-rs/canvas
 //   .env => TOKEN=your_bot_token  CLIENT_ID=your_app_id  GUILD_ID=your_dev_guild_id
-//   In the Developer Portal: ENABLE "SERVER MEMBERS INTENT". Give the bot: MANAGE ROLES, MANAGE NICKNAMES.
+//   COMMAND_SCOPE (optional): global | guild (DEV_GUILD_IDS / GUILD_ID only, instant updates) | both
+//   DEV_GUILD_IDS (optional): comma-separated dev servers (GUILD_ID still works as a single one)
+//   DASHBOARD (optional, /dashboard): DASHBOARD_TOKEN=long_random_secret  — or Discord login:
+//     DASHBOARD_AUTH=discord CLIENT_SECRET=... DASHBOARD_URL=https://your.host (add /dashboard/callback as an OAuth2 redirect)
+//     DASHBOARD_SECRET=... keeps dashboard sessions valid across restarts
+//   METRICS_TOKEN (optional): require "Authorization: Bearer <token>" on /metrics
+//   ERRORS (optional): ERROR_WEBHOOK_URL and/or ERROR_CHANNEL_ID (your own server) get error reports;
+//     OWNER_IDS=comma-separated user ids allowed to use /errors (default: the application owner/team; dev guilds only)
+//   STORAGE (optional): json (default, ./data.json) | sqlite (./data.sqlite, needs: npm i better-sqlite3)
+//   In the Developer Portal: ENABLE "SERVER MEMBERS INTENT" + "MESSAGE CONTENT INTENT". Give the bot: MANAGE ROLES, MANAGE NICKNAMES.
 // RUN: node bot.js
 // ============================================================================
 
 import 'dotenv/config';
-import { Client, GatewayIntentBits, Partials, REST, Routes, SlashCommandBuilder, PermissionFlagsBits, ChannelType, EmbedBuilder } from 'discord.js';
+import { Client, GatewayIntentBits, Partials, REST, Routes, SlashCommandBuilder, PermissionFlagsBits, ChannelType, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, AttachmentBuilder, escapeMarkdown, GatewayCloseCodes } from 'discord.js';
 import ms from 'ms';
 import fs from 'fs';
+import crypto from 'crypto';
 import express from 'express';
+import { pathToFileURL } from 'url';
 
 // ============================================================================
 // CONFIG & CONSTANTS
@@ -24,61 +35,508 @@ const NEWBIE_ROLE_NAME = '🐣 Newbie.exe';
 const NPC_ROLE_NAME = '🤖 NPC';
 const NEWBIE_BADGE = '🐣';
 const NPC_BADGE = '🤖';
-const NEWBIE_DURATION_MS = 14 * 24 * 60 * 60 * 1000; // 14 DAYS
+const NEWBIE_DURATION_MS = 14 * 24 * 60 * 60 * 1000; // 14 DAYS (DEFAULT — /NEWBIE CONFIG OVERRIDES PER GUILD)
 
 // (champion medals removed)
 
-// CHANNEL ROUTING (EXACT NAMES)
+// CHANNEL ROUTING (EXACT NAMES — FALLBACK WHEN NO CHANNEL IS BOUND WITH /CONFIG CHANNELS)
 const LOG_CHANNEL_NAME = 'ℹ️᲼𝕃ogs';
 const LEVELUP_CHANNEL_NAME = '⬆️᲼𝕃evel⋅up';
 const ARRIVAL_CHANNEL_NAME = '✈️᲼𝔸rrival⋅zone';
 
-// LEVELING CONFIG
+// LEVELING CONFIG (DEFAULTS — OVERRIDABLE PER GUILD WITH /LEVELS RATES)
 const MESSAGE_XP = 15; // PER MESSAGE (WITH COOLDOWN)
 const VOICE_XP_PER_MIN = 5; // PER MINUTE IN VOICE
 const MESSAGE_COOLDOWN_MS = 60 * 1000; // 1 MIN PER USER
+const RECENT_MESSAGES_KEPT = 5; // PER USER, FOR NEAR-DUPLICATE DETECTION
+const RECENT_MESSAGES_TTL_MS = 30 * 60 * 1000; // FORGET A QUIET USER'S RECENT MESSAGES AFTER THIS
+const DUPLICATE_SIMILARITY = 0.85; // 0..1 (BIGRAM DICE) — AT OR ABOVE = SAME MESSAGE
+const MAX_XP_MULTIPLIER = 10; // CAP ON STACKED BOOSTS (/XPBOOST + SERVER BOOSTER)
 
-// XP CURVE (EXPONENTIAL): XP needed per level grows by a multiplier
-// Level 1 requires XP_BASE; each next level requires previous * XP_GROWTH
-// Cumulative XP to reach level N is geometric sum
+// XP CURVE (DEFAULT: EXPONENTIAL — OVERRIDABLE PER GUILD WITH /LEVELS CURVE)
+// exponential: level N costs XP_BASE * XP_GROWTH^(N-1) (cumulative = geometric sum)
+// linear:      level N costs base + step * (N-1)
+// polynomial:  level N costs a*(N-1)^2 + b*(N-1) + c (classic 5n²+50n+100)
 const XP_BASE = 150;    // XP required for level 1
 const XP_GROWTH = 2.5; // multiplier per level (e.g., 1.25 = +25% per level)
 
+// ADMIN XP OPERATIONS (/GIVEXP CAP + /XP AUDIT JOURNAL SIZE PER GUILD)
+const GIVEXP_MAX = 100000;
+const AUDIT_MAX_ENTRIES = 200;
+
+
+// RANK CARD THEMES (/RANK THEME)
+const RANK_THEMES = {
+  midnight: { label: 'Midnight', bg: '#0f0f14', panel: '#1b1b24', accent: '#8b5cf6', accent2: '#22d3ee', text: '#f4f4f5', muted: '#9ca3af', track: '#2a2a36' },
+  blood: { label: 'Blood Moon', bg: '#120608', panel: '#22090d', accent: '#dc2626', accent2: '#f59e0b', text: '#fef2f2', muted: '#c4a1a1', track: '#3a1419' },
+  toxic: { label: 'Toxic', bg: '#07110a', panel: '#0e1f13', accent: '#22c55e', accent2: '#a3e635', text: '#ecfdf5', muted: '#93b7a0', track: '#1a3322' },
+  paper: { label: 'Paper', bg: '#e7e5e4', panel: '#fafaf9', accent: '#1f2937', accent2: '#b45309', text: '#111827', muted: '#6b7280', track: '#d6d3d1' },
+};
+const DEFAULT_RANK_THEME = 'midnight';
 
 // CROWN ROLES FOR TOP TEXT/VOICE
 const TEXT_CHAMP_ROLE_NAME = '⌨ Spam Lord';
 const VOICE_CHAMP_ROLE_NAME = '🎙 Yap Lord';
 
 // ============================================================================
-// PERSISTENCE (JSON FILE DB)
+// PERSISTENCE (PLUGGABLE STORAGE — JSON FILE OR SQLITE)
+//  STORAGE=json (default): DATA_FILE, written atomically (tmp + rename) with rotating backups
+//  STORAGE=sqlite: SQLITE_FILE, needs the optional `better-sqlite3` package
+// ADAPTER SHAPE: { name, load() -> DB | null, save(DB) -> Promise, putXp(key, entry), putDaily(guildId, day, userId, bucket), close() }
+// A FILE THAT EXISTS BUT CAN'T BE READ IS FATAL — NEVER START WITH AN EMPTY DB OVER REAL DATA.
 // ============================================================================
-const DATA_FILE = './data.json';
-function loadData() {
-  try { return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')); } catch { return { members: {}, xp: {} }; }
+const DATA_FILE = process.env.DATA_FILE || './data.json';
+const SQLITE_FILE = process.env.SQLITE_FILE || './data.sqlite';
+const BACKUP_COUNT = 5; // data.json.1 (NEWEST) … data.json.5 (OLDEST)
+const BACKUP_INTERVAL_MS = 60 * 60 * 1000; // ROTATE AT MOST HOURLY
+
+function createJsonStorage(file) {
+  let lastBackupAt = 0;
+
+  async function rotateBackups() {
+    if (!fs.existsSync(file)) return;
+    for (let i = BACKUP_COUNT - 1; i >= 1; i--) {
+      await fs.promises.rename(`${file}.${i}`, `${file}.${i + 1}`).catch(() => {});
+    }
+    await fs.promises.copyFile(file, `${file}.1`);
+    lastBackupAt = Date.now();
+  }
+
+  return {
+    name: 'json',
+    load() {
+      if (!fs.existsSync(file)) return null;
+      const raw = fs.readFileSync(file, 'utf8');
+      try {
+        return JSON.parse(raw);
+      } catch (err) {
+        throw new Error(`${file} is corrupt (${err.message}). Restore it from ${file}.1 … ${file}.${BACKUP_COUNT} before starting.`);
+      }
+    },
+    async save(db) {
+      if (Date.now() - lastBackupAt >= BACKUP_INTERVAL_MS) await rotateBackups();
+      // WRITE + FSYNC A TEMP FILE, THEN RENAME OVER THE REAL ONE (ATOMIC ON THE SAME FS)
+      const tmp = `${file}.tmp`;
+      const fh = await fs.promises.open(tmp, 'w');
+      try {
+        await fh.writeFile(JSON.stringify(db, null, 2));
+        await fh.sync();
+      } finally {
+        await fh.close();
+      }
+      await fs.promises.rename(tmp, file);
+    },
+    putXp() { saveData(); }, // WHOLE-FILE FORMAT: JUST SCHEDULE A FLUSH
+    putDaily() { saveData(); },
+    close() {},
+  };
+}
+
+async function createSqliteStorage(file) {
+  let Database;
+  try {
+    ({ default: Database } = await import('better-sqlite3'));
+  } catch {
+    throw new Error('STORAGE=sqlite needs the `better-sqlite3` package (npm i better-sqlite3).');
+  }
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS xp (
+      key TEXT PRIMARY KEY,
+      guild_id TEXT NOT NULL,
+      xp INTEGER NOT NULL DEFAULT 0,
+      text INTEGER NOT NULL DEFAULT 0,
+      voice INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE INDEX IF NOT EXISTS xp_guild ON xp (guild_id);
+    CREATE TABLE IF NOT EXISTS xp_daily (
+      guild_id TEXT NOT NULL,
+      day TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      xp INTEGER NOT NULL DEFAULT 0,
+      text INTEGER NOT NULL DEFAULT 0,
+      voice INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (guild_id, day, user_id)
+    );
+    CREATE TABLE IF NOT EXISTS kv (name TEXT PRIMARY KEY, value TEXT NOT NULL);
+  `);
+  const upsertXp = db.prepare(`
+    INSERT INTO xp (key, guild_id, xp, text, voice) VALUES (@key, @guildId, @xp, @text, @voice)
+    ON CONFLICT(key) DO UPDATE SET xp = excluded.xp, text = excluded.text, voice = excluded.voice`);
+  const putKv = db.prepare('INSERT INTO kv (name, value) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET value = excluded.value');
+  const selectXpKeys = db.prepare('SELECT key FROM xp');
+  const deleteXp = db.prepare('DELETE FROM xp WHERE key = ?');
+  const xpRow = (key, e) => ({ key, guildId: key.split(':')[0], xp: e.xp || 0, text: e.text || 0, voice: e.voice || 0 });
+  const upsertDaily = db.prepare(`
+    INSERT INTO xp_daily (guild_id, day, user_id, xp, text, voice) VALUES (@guildId, @day, @userId, @xp, @text, @voice)
+    ON CONFLICT(guild_id, day, user_id) DO UPDATE SET xp = excluded.xp, text = excluded.text, voice = excluded.voice`);
+  const clearDaily = db.prepare('DELETE FROM xp_daily');
+  const deleteKv = db.prepare('DELETE FROM kv WHERE name = ?');
+  const dailyRow = (guildId, day, userId, b) => ({ guildId, day, userId, xp: b.xp || 0, text: b.text || 0, voice: b.voice || 0 });
+
+  // DB.xp AND DB.xpDaily LIVE IN THEIR OWN TABLES (ROW-LEVEL WRITES FROM addXP); EVERY OTHER COLLECTION IS A JSON ROW IN kv
+  const saveAll = db.transaction((snapshot) => {
+    const keep = new Set(Object.keys(snapshot.xp || {}));
+    for (const { key } of selectXpKeys.all()) {
+      if (!keep.has(key)) deleteXp.run(key);
+    }
+    for (const [key, e] of Object.entries(snapshot.xp || {})) upsertXp.run(xpRow(key, e));
+    clearDaily.run(); // PRUNED DAYS + FORGOTTEN GUILDS GO WITH IT
+    for (const [guildId, days] of Object.entries(snapshot.xpDaily || {})) {
+      for (const [day, users] of Object.entries(days)) {
+        for (const [userId, b] of Object.entries(users)) upsertDaily.run(dailyRow(guildId, day, userId, b));
+      }
+    }
+    deleteKv.run('xpDaily'); // LEGACY: BUCKETS USED TO BE ONE kv ROW
+    for (const [name, value] of Object.entries(snapshot)) {
+      if (name !== 'xp' && name !== 'xpDaily') putKv.run(name, JSON.stringify(value));
+    }
+  });
+
+  return {
+    name: 'sqlite',
+    load() {
+      const rows = db.prepare('SELECT name, value FROM kv').all();
+      const xpRows = db.prepare('SELECT key, xp, text, voice FROM xp').all();
+      if (!rows.length && !xpRows.length) {
+        // FIRST RUN ON SQLITE: IMPORT AN EXISTING JSON FILE IF THERE IS ONE
+        const legacy = createJsonStorage(DATA_FILE).load();
+        if (legacy) {
+          console.log(`📦 Importing ${DATA_FILE} into ${file}`);
+          saveAll(legacy);
+        }
+        return legacy;
+      }
+      const out = {};
+      for (const { name, value } of rows) out[name] = JSON.parse(value);
+      out.xp = {};
+      for (const r of xpRows) out.xp[r.key] = { xp: r.xp, text: r.text, voice: r.voice };
+      const dailyRows = db.prepare('SELECT guild_id, day, user_id, xp, text, voice FROM xp_daily').all();
+      if (dailyRows.length || !out.xpDaily) {
+        out.xpDaily = {};
+        for (const r of dailyRows) ((out.xpDaily[r.guild_id] ||= {})[r.day] ||= {})[r.user_id] = { xp: r.xp, text: r.text, voice: r.voice };
+      }
+      return out;
+    },
+    async save(snapshot) { saveAll(snapshot); },
+    putXp(key, entry) { upsertXp.run(xpRow(key, entry)); },
+    putDaily(guildId, day, userId, bucket) { upsertDaily.run(dailyRow(guildId, day, userId, bucket)); },
+    close() { db.close(); },
+  };
+}
+
+async function createStorage() {
+  const kind = (process.env.STORAGE || 'json').toLowerCase();
+  if (kind === 'json') return createJsonStorage(DATA_FILE);
+  if (kind === 'sqlite') return createSqliteStorage(SQLITE_FILE);
+  throw new Error(`Unknown STORAGE=${kind} (expected json or sqlite)`);
+}
+
+let storage;
+let DB;
+try {
+  storage = await createStorage();
+  DB = storage.load() || {};
+} catch (err) {
+  console.error('💥 Refusing to start — storage failed to load:', err.message);
+  process.exit(1);
+}
+console.log(`💾 Storage: ${storage.name}`);
+DB.members ||= {};
+DB.xp ||= {};
+DB.guilds ||= {};
+DB.tempRoles ||= {};
+DB.xpDaily ||= {};
+DB.recaps ||= {};
+DB.prefs ||= {};
+DB.crowns ||= {};
+DB.seasons ||= {};
+DB.audit ||= {};
+// MIGRATION: RESET SNAPSHOTS USED TO LIVE IN EVERY JOURNAL ENTRY — KEEP ONLY THE NEWEST AS lastReset
+for (const st of Object.values(DB.audit)) {
+  for (const e of st.entries) {
+    if (e.kind !== 'reset' || !e.before) continue;
+    if (!e.undoneBy) st.lastReset = { id: e.id, before: e.before };
+    delete e.before;
+  }
 }
-let DB = loadData();
+DB.boosts ||= {};
+DB.boostSeq ||= {};
+DB.leavers ||= {};
+DB.guildsLeft ||= {};
+DB.apiKeys ||= {};
+DB.apiKeySeq ||= {};
 // DB SHAPE:
-// DB.members: { [guildId:userId]: { joinedAt, newbieSince, originalNick|null } }
+// DB.members: { [guildId:userId]: { joinedAt, newbieSince, originalNick|null, newbieExtraMs?, rulesAcceptedAt?, leftAt? } }
 // DB.xp: { [guildId:userId]: { xp:number, text?:number, voice?:number } }
+// DB.guilds: { [guildId]: { ...overrides of GUILD_DEFAULTS } }
+// DB.tempRoles: { [guildId:userId:roleId]: { guildId, userId, roleId, expiresAt, grantedAt, grantedBy, failedAt? } } (failedAt = EXPIRED BUT REMOVAL FAILED, RETRYING)
+// DB.xpDaily: { [guildId]: { [YYYY-MM-DD (UTC)]: { [userId]: { xp, text, voice } } } } (XP GAINED THAT DAY)
+// DB.recaps: { [guildId]: { week: YYYY-MM-DD (MONDAY LAST RECAPPED), ranks: { [userId]: allTimeRank } } }
+// DB.prefs: { [userId]: { rankTheme? } } (PER-USER, ACROSS SERVERS)
+// DB.crowns: { [guildId]: [{ crown: 'text'|'voice', userId, since, until|null }] } (REIGNS, OLDEST FIRST)
+// DB.seasons: { [guildId]: { number, startedAt, archive: [{ number, startedAt, endedAt, endedBy, standings, champions, roleId }] } } (startedAt null = UNKNOWN)
+// DB.leavers: { [guildId:userId]: { xp: { xp, text, voice }, leftAt } } (XP PARKED UNTIL REJOIN — RETENTION 'restore')
+// DB.guildsLeft: { [guildId]: leftAt } (REMOVED FROM THE SERVER — DATA FORGOTTEN AFTER GUILD_DATA_GRACE_DAYS)
+// DB.apiKeys: { [guildId]: [{ id, label, hash (sha256 of the key), scopes: ['read', 'write'?], createdBy, createdAt, lastUsedAt }] }
+// DB.apiKeySeq: { [guildId]: lastKeyId } (A REVOKED KEY'S ID IS NEVER HANDED OUT AGAIN)
+// DB.boosts: { [guildId]: [{ id, multiplier, channelId|null, roleId|null, startedAt, expiresAt, createdBy }] } (TIME-LIMITED /XPBOOST)
+// DB.boostSeq: { [guildId]: lastBoostId } (IDS NEVER REUSED AFTER A BOOST EXPIRES)
+// DB.audit: { [guildId]: { seq, entries: [{ id, at, actor, kind: 'give'|'reset'|'season'|'undo', target?, delta?, source?, before?, undoOf?, undoneBy?, undoneAt? }], lastReset?: { id, before } } } (NEWEST LAST)
+
+// SAVE QUEUE: DEBOUNCED FULL FLUSH, NEVER TWO WRITES AT ONCE, FAILURES LOGGED + KEPT FOR /HEALTH
+const saveState = { saving: false, pending: false, lastOkAt: 0, lastError: null, lastErrorAt: 0, failures: 0 };
 let saveTimer;
 function saveData() {
   clearTimeout(saveTimer);
-  saveTimer = setTimeout(() => {
-    fs.writeFile(DATA_FILE, JSON.stringify(DB, null, 2), () => {});
-  }, 500);
+  saveTimer = setTimeout(() => { flushData(); }, 500);
+}
+
+async function flushData() {
+  clearTimeout(saveTimer);
+  if (saveState.saving) { saveState.pending = true; return; }
+  saveState.saving = true;
+  try {
+    await storage.save(DB);
+    saveState.lastOkAt = Date.now();
+    saveState.lastError = null;
+  } catch (err) {
+    saveState.lastError = String(err?.message || err);
+    saveState.lastErrorAt = Date.now();
+    saveState.failures++;
+    console.error('💾 Save failed:', err);
+  } finally {
+    saveState.saving = false;
+  }
+  if (saveState.pending) { saveState.pending = false; saveData(); }
+}
+
+// FLUSH BEFORE RENDER (SIGTERM) OR CTRL+C (SIGINT) STOPS US
+for (const sig of ['SIGTERM', 'SIGINT']) {
+  process.once(sig, async () => {
+    console.log(`${sig} received — flushing data`);
+    while (saveState.saving) await new Promise(r => setTimeout(r, 50));
+    await flushData();
+    storage.close();
+    process.exit(0);
+  });
 }
 
 // HELPER: KEY BUILDER
 const mkey = (guildId, userId) => `${guildId}:${userId}`;
 
+// ============================================================================
+// PER-GUILD SETTINGS (STORED IN DB.guilds, MERGED OVER DEFAULTS)
+// ============================================================================
+const GUILD_DEFAULTS = {
+  welcome: null, // { channelId, message? } (/SETWELCOME — FALLBACK ONLY, WHEN THE ARRIVAL CHANNEL IS MISSING)
+  goodbye: null, // LEGACY { message } — NOW templates.goodbye
+  // MESSAGE TEMPLATES (null = DEFAULT_TEMPLATES): { message, embed: null | { title, color, thumbnail } }
+  templates: { welcome: null, goodbye: null, levelup: null },
+  channels: { logs: null, levelup: null, arrival: null }, // ROUTING ROLE -> CHANNEL ID
+  xp: { messageXp: MESSAGE_XP, voiceXpPerMin: VOICE_XP_PER_MIN, messageCooldownMs: MESSAGE_COOLDOWN_MS },
+  curve: { type: 'exponential', base: XP_BASE, growth: XP_GROWTH, step: 50, a: 5, b: 50, c: 100 },
+  recap: { weekly: true }, // WEEKLY TOP 10 + CLIMBERS IN THE LEVEL-UP CHANNEL
+  seasons: { length: 'off', championRoles: false }, // length: 'off' | 'weekly' | 'monthly'
+  levelRoles: { mode: 'stack', rewards: [] }, // mode: 'stack' | 'replace'; rewards: [{ level, roleId }]
+  // NEWBIE → NPC GATES. rules: 'none' | 'react' (REACT TO rulesMessageId) | 'screening' (DISCORD MEMBERSHIP SCREENING)
+  newbie: { minDays: NEWBIE_DURATION_MS / (24 * 60 * 60 * 1000), minLevel: 0, minXp: 0, rules: 'none', rulesChannelId: null, rulesMessageId: null, rulesEmoji: null },
+  voice: { minCompany: 1, ignoreAfk: true, ignoreServerMuted: true, excludedChannelIds: [] }, // ANTI-FARM RULES
+  // TEXT XP ELIGIBILITY (ANTI-SPAM). randomMin/randomMax > 0 = RANDOM XP PER MESSAGE INSTEAD OF xp.messageXp
+  text: { minLength: 3, dedupe: true, ignoreEmojiOnly: true, ignorePrefixes: ['!', '$', '/'], randomMin: 0, randomMax: 0, excludedChannelIds: [], excludedRoleIds: [] },
+  // LEAVERS' DATA. policy: 'keep' (AS-IS) | 'purge' (DELETE XP + RECORD AFTER days) | 'restore' (PARK XP, GIVE IT BACK ON REJOIN; days 0 = FOREVER)
+  retention: { policy: 'keep', days: 30 },
+  web: { publicBoard: false }, // READ-ONLY LEADERBOARD AT /board/<guildId> (OPT-IN: /config web OR THE DASHBOARD)
+  // MODERATION LOG (LOGS CHANNEL): ONE TOGGLE PER EVENT TYPE
+  modlog: { messageDelete: true, messageEdit: true, roles: true, nicknames: true, bans: true, channels: true },
+  boosts: { boosterMultiplier: 1.5 }, // PERMANENT MULTIPLIER FOR SERVER BOOSTERS (1 = OFF)
+};
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// EFFECTIVE SETTINGS: DEFAULTS + STORED OVERRIDES (ONE LEVEL DEEP FOR OBJECT DEFAULTS)
+function getGuildConfig(guildId) {
+  const stored = DB.guilds[guildId] || {};
+  const conf = {};
+  for (const [k, def] of Object.entries(GUILD_DEFAULTS)) {
+    const v = stored[k];
+    if (isPlainObject(def)) conf[k] = { ...def, ...(isPlainObject(v) ? v : {}) };
+    else conf[k] = v === undefined ? def : v;
+  }
+  return conf;
+}
+
+// SHALLOW PATCH OF A GUILD'S OVERRIDES; A VALUE OF undefined REMOVES THE OVERRIDE
+function updateGuildConfig(guildId, patch) {
+  const stored = { ...(DB.guilds[guildId] || {}) };
+  for (const [k, v] of Object.entries(patch)) {
+    if (v === undefined) delete stored[k];
+    else stored[k] = v;
+  }
+  DB.guilds[guildId] = stored;
+  saveData();
+  return getGuildConfig(guildId);
+}
+
+// HUMAN-READABLE CURVE FORMULA (PER-LEVEL COST, n = LEVEL - 1)
+function describeCurve(curve) {
+  if (curve.type === 'linear') return `linear — ${curve.base} + ${curve.step}·n`;
+  if (curve.type === 'polynomial') return `polynomial — ${curve.a}n² + ${curve.b}n + ${curve.c}`;
+  return `exponential — ${curve.base} × ${curve.growth}^n`;
+}
+
+function describeNewbieRules(newbie) {
+  const gates = [`${newbie.minDays} day(s)`];
+  if (newbie.minLevel > 0) gates.push(`level ≥ ${newbie.minLevel}`);
+  if (newbie.minXp > 0) gates.push(`XP ≥ ${newbie.minXp}`);
+  if (newbie.rules === 'react') gates.push(`react${newbie.rulesEmoji ? ` ${newbie.rulesEmoji}` : ''} to rules (<#${newbie.rulesChannelId}>)`);
+  if (newbie.rules === 'screening') gates.push('membership screening accepted');
+  return `Promote to NPC after: ${gates.join(' + ')}`;
+}
+
+function describeSeasons(guildId) {
+  const { length, championRoles } = getGuildConfig(guildId).seasons;
+  const state = seasonState(guildId);
+  const endsAt = state.startedAt && seasonEndsAt(state.startedAt, length);
+  return [
+    DB.seasons[guildId] ? `Season ${state.number}, started ${seasonDate(state.startedAt)}` : 'No season yet (starts when seasons are turned on)',
+    `Automatic end: ${length === 'off' ? 'off (use /season end)' : endsAt ? `${length} — next <t:${Math.floor(endsAt / 1000)}:R>` : length}`,
+    `Champion roles: ${championRoles ? 'on' : 'off'}`,
+  ].join('\n');
+}
+
+function describeTextRules(text) {
+  return [
+    `Min length: ${text.minLength ? `${text.minLength} chars` : 'any'}`,
+    `Near-duplicates: ${text.dedupe ? 'no XP' : 'earn XP'}`,
+    `Emoji-only: ${text.ignoreEmojiOnly ? 'no XP' : 'earn XP'}`,
+    `Command prefixes: ${text.ignorePrefixes.map(p => `\`${p}\``).join(' ') || 'none'}`,
+    `XP per message: ${text.randomMax > 0 ? `random ${text.randomMin}–${text.randomMax}` : 'flat (rates)'}`,
+    `Excluded channels: ${text.excludedChannelIds.map(id => `<#${id}>`).join(' ') || 'none'}`,
+    `Excluded roles: ${text.excludedRoleIds.map(id => `<@&${id}>`).join(' ') || 'none'}`,
+  ].join('\n');
+}
+
+const MODLOG_EVENTS = {
+  messageDelete: 'Message deletes',
+  messageEdit: 'Message edits',
+  roles: 'Role changes',
+  nicknames: 'Nickname changes',
+  bans: 'Bans / unbans',
+  channels: 'Channel create / delete',
+};
+
+function describeRetention({ policy, days }) {
+  if (policy === 'purge') return `Purge leavers' XP + records after ${days} day(s)`;
+  if (policy === 'restore') return `Park leavers' XP off the boards, restore on rejoin${days ? ` — parked XP is dropped after ${days} day(s)` : ' — parked XP never expires'}`;
+  return 'Keep leavers\' XP as-is';
+}
+
+function describePublicBoard(guildId, on) {
+  if (!on) return 'Off';
+  return `On${process.env.DASHBOARD_URL ? ` — ${process.env.DASHBOARD_URL.replace(/\/$/, '')}/board/${guildId}` : ` (/board/${guildId})`}`;
+}
+
+function describeModlog(modlog) {
+  return Object.entries(MODLOG_EVENTS).map(([k, label]) => `${modlog[k] ? '✅' : '❌'} ${label}`).join('\n');
+}
+
+function describeVoiceRules(voice) {
+  return [
+    `Company: ${voice.minCompany ? `≥ ${voice.minCompany} other listener(s)` : 'not required'}`,
+    `AFK channel: ${voice.ignoreAfk ? 'no XP' : 'earns XP'}`,
+    `Server-muted/deafened: ${voice.ignoreServerMuted ? 'no XP' : 'earns XP'}`,
+    `Excluded: ${voice.excludedChannelIds.map(id => `<#${id}>`).join(' ') || 'none'}`,
+  ].join('\n');
+}
+
+// EMBED FIELDS FOR /CONFIG SHOW (ONE FIELD PER SETTINGS GROUP)
+function describeGuildConfig(guild) {
+  const conf = getGuildConfig(guild.id);
+  const welcome = conf.welcome?.channelId ? `<#${conf.welcome.channelId}>${conf.welcome.message ? ` — ${escapeUserText(conf.welcome.message.slice(0, 200))}` : ' (welcome template)'}` : 'Not set (arrival channel only)';
+  const templates = TEMPLATE_KINDS.map((kind) => {
+    const custom = !!(conf.templates[kind] || (kind === 'goodbye' && conf.goodbye?.message));
+    const tpl = getTemplate(guild.id, kind);
+    return `**${kind}** (${custom ? 'custom' : 'default'}${tpl.embed ? ', embed' : ''}): ${tpl.message.slice(0, 200)}`;
+  }).join('\n');
+  const routing = Object.entries(CHANNEL_ROLES).map(([role, def]) => {
+    const id = conf.channels[role];
+    return `${def.label}: ${id ? `<#${id}>` : `unbound → #${def.fallbackName}`}`;
+  }).join('\n');
+  const rates = `${conf.xp.messageXp} XP/message (cooldown ${ms(conf.xp.messageCooldownMs)}), ${conf.xp.voiceXpPerMin} XP/voice minute`;
+  return [
+    { name: 'Channels', value: routing },
+    { name: 'XP rates', value: rates },
+    { name: 'Level curve', value: describeCurve(conf.curve) },
+    { name: 'Newbie pipeline', value: describeNewbieRules(conf.newbie) },
+    { name: 'Seasons', value: describeSeasons(guild.id) },
+    { name: 'Weekly recap', value: conf.recap.weekly ? 'On (level-up channel, Mondays UTC)' : 'Off' },
+    { name: 'Moderation log', value: describeModlog(conf.modlog) },
+    { name: 'Leaver data', value: describeRetention(conf.retention) },
+    { name: 'Public leaderboard', value: describePublicBoard(guild.id, conf.web.publicBoard) },
+    { name: 'Text XP rules', value: describeTextRules(conf.text).slice(0, 1024) },
+    { name: 'Voice XP rules', value: describeVoiceRules(conf.voice).slice(0, 1024) },
+    { name: `Level rewards (${conf.levelRoles.mode})`, value: conf.levelRoles.rewards.map(r => `${r.level} → <@&${r.roleId}>`).join(', ').slice(0, 1024) || 'None' },
+    { name: 'Fallback welcome channel', value: welcome },
+    { name: 'Templates', value: templates.slice(0, 1024) },
+  ];
+}
+
 // ============================================================================
 // RUNTIME MAPS
 // ============================================================================
-const welcomeConfig = new Map(); // GUILDID -> {CHANNELID, MESSAGE} (FALLBACK IF ARRIVAL CHANNEL MISSING)
-const goodbyeConfig = new Map(); // GUILDID -> {MESSAGE} (TEMPLATE FOR LOGS)
-const tempRoleTimers = new Map(); // USED BY /TEMPROLE
 const messageCooldown = new Map(); // KEY -> TIMESTAMP
-const voiceActive = new Map(); // GUILDID -> SET(USERID) CURRENTLY IN VC GAINING XP
+const botNickEdits = new Map(); // GUILDID:USERID -> NICKNAME THE BOT IS SETTING (BADGES), SKIPPED BY THE MODERATION LOG
+const recentMessages = new Map(); // GUILDID:USERID -> { at, texts: LAST NORMALIZED MESSAGES (NEWEST LAST) }
+const voiceActive = new Map(); // GUILDID -> MAP(USERID -> { channelId, joinedAt, lastTickAt }) OPEN VOICE SESSIONS
+const voiceCarryMs = new Map(); // GUILDID:USERID -> ELIGIBLE MS NOT YET CREDITED (PARTIAL MINUTE)
+
+// ============================================================================
+// METRICS — PROMETHEUS TEXT FORMAT AT /metrics (COUNTERS + HISTOGRAMS HERE, GAUGES READ AT SCRAPE TIME)
+// ============================================================================
+const COMMAND_LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]; // SECONDS
+const METRICS = {
+  bot_xp_awarded_total: { type: 'counter', help: 'XP added to members, by source', series: new Map() },
+  bot_level_ups_total: { type: 'counter', help: 'Level-ups', series: new Map() },
+  bot_commands_total: { type: 'counter', help: 'Slash commands and buttons handled, by outcome', series: new Map() },
+  bot_errors_total: { type: 'counter', help: 'Errors reported (including deduplicated repeats), by source', series: new Map() },
+  bot_command_duration_seconds: { type: 'histogram', help: 'Slash command and button handling time', series: new Map() },
+};
+
+const metricLabels = (labels) => {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${String(v).replace(/[\\"\n]/g, c => (c === '\n' ? '\\n' : `\\${c}`))}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+};
+
+function incMetric(name, labels = {}, by = 1) {
+  const { series } = METRICS[name];
+  const key = metricLabels(labels);
+  series.set(key, (series.get(key) || 0) + by);
+}
+
+function observeMetric(name, labels, value) {
+  const { series } = METRICS[name];
+  const key = metricLabels(labels);
+  const h = series.get(key) || { labels, buckets: COMMAND_LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+  COMMAND_LATENCY_BUCKETS.forEach((le, i) => { if (value <= le) h.buckets[i]++; });
+  h.sum += value; h.count++;
+  series.set(key, h);
+}
+
+function renderMetrics(gauges) {
+  const out = [];
+  for (const [name, { type, help, series }] of Object.entries(METRICS)) {
+    out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [key, v] of series) {
+      if (type !== 'histogram') { out.push(`${name}${key} ${v}`); continue; }
+      COMMAND_LATENCY_BUCKETS.forEach((le, i) => out.push(`${name}_bucket${metricLabels({ ...v.labels, le })} ${v.buckets[i]}`));
+      out.push(`${name}_bucket${metricLabels({ ...v.labels, le: '+Inf' })} ${v.count}`, `${name}_sum${key} ${v.sum}`, `${name}_count${key} ${v.count}`);
+    }
+  }
+  for (const [name, help, value, type = 'gauge'] of gauges) out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, `${name} ${value}`);
+  return out.join('\n') + '\n';
+}
 
 // ============================================================================
 // CHANNEL LOOKUP HELPERS
@@ -90,60 +548,123 @@ function getTextChannelByName(guild, name) {
     (c) => c.type === ChannelType.GuildText && c.name.toLowerCase() === lower
   ) || null;
 }
-function getLogChannel(guild) { return getTextChannelByName(guild, LOG_CHANNEL_NAME); }
-function getLevelUpChannel(guild) { return getTextChannelByName(guild, LEVELUP_CHANNEL_NAME); }
+
+// ROUTING ROLES: BOUND CHANNEL ID (/CONFIG CHANNELS) FIRST, THEN THE EXACT-NAME FALLBACK
+const CHANNEL_ROLES = {
+  logs: { label: 'Logs', fallbackName: LOG_CHANNEL_NAME },
+  levelup: { label: 'Level-up', fallbackName: LEVELUP_CHANNEL_NAME },
+  arrival: { label: 'Arrival', fallbackName: ARRIVAL_CHANNEL_NAME },
+};
+const unboundWarned = new Set(); // GUILDID:ROLE ALREADY WARNED ABOUT (ONCE PER PROCESS)
+
+function getRoutedChannel(guild, role) {
+  if (!guild) return null;
+  const boundId = getGuildConfig(guild.id).channels[role];
+  if (boundId) {
+    const ch = guild.channels.cache.get(boundId);
+    if (ch?.isTextBased()) return ch;
+  }
+  const warnKey = `${guild.id}:${role}`;
+  if (!unboundWarned.has(warnKey)) {
+    unboundWarned.add(warnKey);
+    const why = boundId ? `bound channel ${boundId} is missing` : 'no channel bound';
+    console.warn(`⚠️ [${guild.name}] ${CHANNEL_ROLES[role].label} channel: ${why}; falling back to #${CHANNEL_ROLES[role].fallbackName}. Use /config channels.`);
+  }
+  return getTextChannelByName(guild, CHANNEL_ROLES[role].fallbackName);
+}
+function getLogChannel(guild) { return getRoutedChannel(guild, 'logs'); }
+function getLevelUpChannel(guild) { return getRoutedChannel(guild, 'levelup'); }
 
 // Safe sender for Level-Up messages: try #LevelUp, else fallback channel or logs
 function safeSendLevelUp(guild, payload, fallbackChannel = null) {
   const ch = getLevelUpChannel(guild) || fallbackChannel || getLogChannel(guild);
   if (ch) ch.send(payload).catch(() => {});
 }
-function getArrivalChannel(guild) { return getTextChannelByName(guild, ARRIVAL_CHANNEL_NAME); }
+function getArrivalChannel(guild) { return getRoutedChannel(guild, 'arrival'); }
 
 // ============================================================================
 // SLASH COMMAND DEFINITIONS
 // ============================================================================
+// SHARED OPTION: WHICH MESSAGE TEMPLATE
+const templateKindOption = (o) => o.setName('kind').setDescription('Which message').setRequired(true).addChoices(
+  { name: 'welcome (arrival channel)', value: 'welcome' },
+  { name: 'goodbye (logs channel)', value: 'goodbye' },
+  { name: 'level-up', value: 'levelup' },
+);
+
+// SHARED OPTION: LEADERBOARD TIME WINDOW
+const periodOption = (o) => o.setName('period').setDescription('Time window (default: all-time)').addChoices(
+  { name: 'today', value: 'day' },
+  { name: 'this week', value: 'week' },
+  { name: 'this month', value: 'month' },
+  { name: 'all-time', value: 'all' },
+);
+
 const commands = [
   new SlashCommandBuilder().setName('ping').setDescription('Check if the bot is awake.'),
 
   new SlashCommandBuilder()
     .setName('setwelcome')
-    .setDescription('Configure a fallback welcome (used only if the arrival channel is missing).')
+    .setDescription('Set a fallback welcome channel + message (used only if the arrival channel is missing).')
     .addChannelOption(opt => opt.setName('channel').setDescription('Welcome channel').addChannelTypes(ChannelType.GuildText).setRequired(true))
-    .addStringOption(opt => opt.setName('message').setDescription('Message (use {user} to mention)').setRequired(true))
+    .addStringOption(opt => opt.setName('message').setDescription('Message (placeholders: see /welcome set)').setRequired(true))
     .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
 
   new SlashCommandBuilder()
     .setName('temprole')
-    .setDescription('Give a role to a user for a limited time (e.g., 10m, 2h, 3d).')
-    .addUserOption(o => o.setName('user').setDescription('Target member').setRequired(true))
-    .addRoleOption(o => o.setName('role').setDescription('Role to give').setRequired(true))
-    .addStringOption(o => o.setName('duration').setDescription('Duration like 15m, 2h, 1d').setRequired(true))
+    .setDescription('Temporary roles that are removed automatically (survive restarts).')
+    .addSubcommand(sc => sc
+      .setName('grant')
+      .setDescription('Give a role to a user for a limited time (e.g., 10m, 2h, 3d).')
+      .addUserOption(o => o.setName('user').setDescription('Target member').setRequired(true))
+      .addRoleOption(o => o.setName('role').setDescription('Role to give').setRequired(true))
+      .addStringOption(o => o.setName('duration').setDescription('Duration like 15m, 2h, 1d').setRequired(true)))
+    .addSubcommand(sc => sc
+      .setName('list')
+      .setDescription('List pending temporary roles on this server.')
+      .addUserOption(o => o.setName('user').setDescription('Only show this member')))
+    .addSubcommand(sc => sc
+      .setName('cancel')
+      .setDescription('Remove a temporary role now and cancel its timer.')
+      .addUserOption(o => o.setName('user').setDescription('Target member').setRequired(true))
+      .addRoleOption(o => o.setName('role').setDescription('Temporary role').setRequired(true)))
     .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles),
 
   new SlashCommandBuilder()
     .setName('goodbye')
     .setDescription('Set/clear the goodbye message template (posted in the logs channel).')
-    .addStringOption(o => o.setName('message').setDescription('Leave empty to reset; use {user}').setRequired(false))
+    .addStringOption(o => o.setName('message').setDescription('Leave empty to reset; use {user.tag}, {server}, …').setRequired(false))
     .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
 
   new SlashCommandBuilder()
     .setName('rank')
-    .setDescription('See your level and XP (text + voice).')
-    .addUserOption(o => o.setName('user').setDescription("See someone else's rank")), 
+    .setDescription('Rank card: level and XP (text + voice).')
+    .addSubcommand(sc => sc
+      .setName('view')
+      .setDescription('See your level and XP (text + voice).')
+      .addUserOption(o => o.setName('user').setDescription("See someone else's rank")))
+    .addSubcommand(sc => sc
+      .setName('theme')
+      .setDescription('Pick the color scheme of your rank card.')
+      .addStringOption(o => o.setName('theme').setDescription('Theme').setRequired(true).addChoices(
+        ...Object.entries(RANK_THEMES).map(([value, t]) => ({ name: t.label, value })),
+      ))),
 
   new SlashCommandBuilder()
     .setName('leaderboard')
-    .setDescription('Top 10 by total XP on this server.'),
+    .setDescription('Top 10 by total XP on this server.')
+    .addStringOption(periodOption),
 
   // PUBLIC LEADERBOARDS (TEXT / VOICE)
-  new SlashCommandBuilder().setName('toptext').setDescription('Top 10 by text XP on this server.'),
-  new SlashCommandBuilder().setName('topvoice').setDescription('Top 10 by voice XP on this server.'),  // ADMIN: grant XP for testing
+  new SlashCommandBuilder().setName('toptext').setDescription('Top 10 by text XP on this server.').addStringOption(periodOption),
+  new SlashCommandBuilder().setName('topvoice').setDescription('Top 10 by voice XP on this server.').addStringOption(periodOption),
+
+  // ADMIN: grant XP for testing
   new SlashCommandBuilder()
     .setName('givexp')
     .setDescription('Grant XP to a user (admin only) for testing level-ups).')
     .addUserOption(o => o.setName('user').setDescription('Target user').setRequired(true))
-    .addIntegerOption(o => o.setName('amount').setDescription('XP amount').setRequired(true))
+    .addIntegerOption(o => o.setName('amount').setDescription(`XP amount (±${GIVEXP_MAX})`).setRequired(true).setMinValue(-GIVEXP_MAX).setMaxValue(GIVEXP_MAX))
     .addStringOption(o => o.setName('source').setDescription('XP source').addChoices(
       { name: 'text', value: 'text' },
       { name: 'voice', value: 'voice' }
@@ -153,29 +674,314 @@ const commands = [
   // ADMIN: reset all XP for this server (irreversible)
   new SlashCommandBuilder()
     .setName('resetxp')
-    .setDescription('Reset ALL XP (text+voice) on this server to 0. Irreversible.')
+    .setDescription('Reset ALL XP (text+voice) on this server to 0. Undo with /xp undo.')
     .addBooleanOption(o => o.setName('confirm').setDescription('Must be true to confirm').setRequired(true))
     .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
 
+  // ADMIN: TIME-LIMITED XP MULTIPLIERS (DOUBLE XP WEEKENDS) + SERVER BOOSTER BONUS
+  new SlashCommandBuilder()
+    .setName('xpboost')
+    .setDescription('XP multipliers: events, per-channel / per-role boosts, server boosters.')
+    .addSubcommand(sc => sc
+      .setName('start')
+      .setDescription('Start a time-limited multiplier (server-wide, or only in a channel / for a role).')
+      .addNumberOption(o => o.setName('multiplier').setDescription('e.g. 2 for double XP').setRequired(true).setMinValue(1.1).setMaxValue(MAX_XP_MULTIPLIER))
+      .addStringOption(o => o.setName('duration').setDescription('Duration like 2h, 48h, 3d').setRequired(true))
+      .addChannelOption(o => o.setName('channel').setDescription('Only XP earned in this channel').addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum, ChannelType.GuildVoice, ChannelType.GuildStageVoice))
+      .addRoleOption(o => o.setName('role').setDescription('Only members with this role')))
+    .addSubcommand(sc => sc.setName('list').setDescription('Active boosts on this server.'))
+    .addSubcommand(sc => sc
+      .setName('stop')
+      .setDescription('End a boost now.')
+      .addIntegerOption(o => o.setName('id').setDescription('Boost id from /xpboost list').setRequired(true).setMinValue(1)))
+    .addSubcommand(sc => sc
+      .setName('booster')
+      .setDescription('Permanent multiplier for server boosters.')
+      .addNumberOption(o => o.setName('multiplier').setDescription('1 = off').setRequired(true).setMinValue(1).setMaxValue(MAX_XP_MULTIPLIER)))
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  // BOT OWNER ONLY: RECENT ERRORS FROM THE IN-MEMORY RING BUFFER (REGISTERED IN DEV_GUILD_IDS ONLY)
+  new SlashCommandBuilder()
+    .setName('errors')
+    .setDescription('Recent bot errors (bot owner only).')
+    .addIntegerOption(o => o.setName('id').setDescription('Show the full stack of one error').setMinValue(1))
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
+
+  // ADMIN: KEYS FOR THE JSON API (/api/v1)
+  new SlashCommandBuilder()
+    .setName('apikey')
+    .setDescription('Keys for the JSON API (overlays, stats sites, external XP grants).')
+    .addSubcommand(sc => sc
+      .setName('create')
+      .setDescription('Create a key (shown once).')
+      .addStringOption(o => o.setName('label').setDescription('What uses it, e.g. "stream overlay"').setRequired(true).setMaxLength(40))
+      .addBooleanOption(o => o.setName('write').setDescription('Allow granting XP (default: read-only)')))
+    .addSubcommand(sc => sc.setName('list').setDescription('Keys for this server.'))
+    .addSubcommand(sc => sc
+      .setName('revoke')
+      .setDescription('Revoke a key.')
+      .addIntegerOption(o => o.setName('id').setDescription('Key id from /apikey list').setRequired(true).setMinValue(1)))
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  // ADMIN: AUDIT JOURNAL OF /GIVEXP, /RESETXP, SEASON ENDS (+ UNDO)
+  new SlashCommandBuilder()
+    .setName('xp')
+    .setDescription('Audit and undo admin XP operations.')
+    .addSubcommand(sc => sc
+      .setName('audit')
+      .setDescription('Recent admin XP operations on this server.')
+      .addUserOption(o => o.setName('user').setDescription('Only operations by or on this user'))
+      .addIntegerOption(o => o.setName('limit').setDescription('How many (default 15)').setMinValue(1).setMaxValue(25)))
+    .addSubcommand(sc => sc
+      .setName('undo')
+      .setDescription('Revert one operation from /xp audit.')
+      .addIntegerOption(o => o.setName('id').setDescription('Operation id').setRequired(true).setMinValue(1)))
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  // LEVEL CURVE + XP RATES (PREVIEW IS PUBLIC, CHANGES NEED MANAGE SERVER)
+  new SlashCommandBuilder()
+    .setName('levels')
+    .setDescription('XP curve and rates for this server.')
+    .addSubcommand(sc => sc.setName('preview').setDescription('Show the XP thresholds for the first 20 levels.'))
+    .addSubcommand(sc => sc
+      .setName('curve')
+      .setDescription('Change the level curve (raw XP is kept; levels are recomputed).')
+      .addStringOption(o => o.setName('type').setDescription('Curve type').setRequired(true).addChoices(
+        { name: 'exponential (base × growth^n)', value: 'exponential' },
+        { name: 'linear (base + step × n)', value: 'linear' },
+        { name: 'polynomial (a·n² + b·n + c)', value: 'polynomial' },
+      ))
+      .addNumberOption(o => o.setName('base').setDescription('exponential/linear: XP for level 1').setMinValue(1))
+      .addNumberOption(o => o.setName('growth').setDescription('exponential: multiplier per level (1–5)').setMinValue(1).setMaxValue(5))
+      .addNumberOption(o => o.setName('step').setDescription('linear: extra XP per level').setMinValue(0))
+      .addNumberOption(o => o.setName('a').setDescription('polynomial: n² coefficient').setMinValue(0))
+      .addNumberOption(o => o.setName('b').setDescription('polynomial: n coefficient').setMinValue(0))
+      .addNumberOption(o => o.setName('c').setDescription('polynomial: constant (XP for level 1)').setMinValue(1)))
+    .addSubcommand(sc => sc
+      .setName('rates')
+      .setDescription('Change XP earned per message / per voice minute and the message cooldown.')
+      .addIntegerOption(o => o.setName('message_xp').setDescription('XP per message').setMinValue(0).setMaxValue(1000))
+      .addIntegerOption(o => o.setName('voice_xp').setDescription('XP per voice minute').setMinValue(0).setMaxValue(1000))
+      .addStringOption(o => o.setName('cooldown').setDescription('Message cooldown like 30s, 1m')))
+    .addSubcommand(sc => sc.setName('reset').setDescription('Restore the default curve and rates.')),
+
+  // ADMIN: roles granted automatically at given levels
+  new SlashCommandBuilder()
+    .setName('levelroles')
+    .setDescription('Reward roles granted automatically on level-up.')
+    .addSubcommand(sc => sc
+      .setName('add')
+      .setDescription('Grant a role when members reach a level.')
+      .addIntegerOption(o => o.setName('level').setDescription('Level').setRequired(true).setMinValue(1).setMaxValue(1000))
+      .addRoleOption(o => o.setName('role').setDescription('Reward role').setRequired(true)))
+    .addSubcommand(sc => sc
+      .setName('remove')
+      .setDescription('Stop granting a reward role (members keep it until the next sync).')
+      .addRoleOption(o => o.setName('role').setDescription('Reward role').setRequired(true)))
+    .addSubcommand(sc => sc.setName('list').setDescription('List reward roles.'))
+    .addSubcommand(sc => sc
+      .setName('mode')
+      .setDescription('Stack all reward roles, or keep only the highest one.')
+      .addStringOption(o => o.setName('mode').setDescription('Mode').setRequired(true).addChoices(
+        { name: 'stack (keep all earned rewards)', value: 'stack' },
+        { name: 'replace (only the highest reward)', value: 'replace' },
+      )))
+    .addSubcommand(sc => sc.setName('sync').setDescription('Backfill reward roles for everyone from their current XP.'))
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  // NEWBIE PIPELINE: STATUS IS PUBLIC, OVERRIDES NEED MANAGE ROLES
+  new SlashCommandBuilder()
+    .setName('newbie')
+    .setDescription('Newbie → NPC onboarding.')
+    .addSubcommand(sc => sc
+      .setName('status')
+      .setDescription('Show progress toward NPC promotion.')
+      .addUserOption(o => o.setName('user').setDescription('Member (default: you)')))
+    .addSubcommand(sc => sc
+      .setName('promote')
+      .setDescription('Promote a newbie to NPC now (admin override).')
+      .addUserOption(o => o.setName('user').setDescription('Member').setRequired(true)))
+    .addSubcommand(sc => sc
+      .setName('extend')
+      .setDescription('Extend a newbie period (admin override).')
+      .addUserOption(o => o.setName('user').setDescription('Member').setRequired(true))
+      .addStringOption(o => o.setName('duration').setDescription('Extra time like 3d, 1w').setRequired(true)))
+    .addSubcommand(sc => sc
+      .setName('config')
+      .setDescription('Promotion criteria for this server.')
+      .addNumberOption(o => o.setName('min_days').setDescription('Minimum days as newbie').setMinValue(0).setMaxValue(365))
+      .addIntegerOption(o => o.setName('min_level').setDescription('Minimum level (0 = off)').setMinValue(0))
+      .addIntegerOption(o => o.setName('min_xp').setDescription('Minimum total XP (0 = off)').setMinValue(0))
+      .addStringOption(o => o.setName('rules').setDescription('Rules gate').addChoices(
+        { name: 'none', value: 'none' },
+        { name: 'react to a rules message', value: 'react' },
+        { name: 'Discord membership screening', value: 'screening' },
+      ))
+      .addStringOption(o => o.setName('rules_message').setDescription('Link to the rules message (for the react gate)'))
+      .addStringOption(o => o.setName('rules_emoji').setDescription('Required emoji (empty = any reaction)'))),
+
+  // ADMIN: WELCOME / GOODBYE / LEVEL-UP TEMPLATES
+  new SlashCommandBuilder()
+    .setName('welcome')
+    .setDescription('Welcome, goodbye and level-up message templates.')
+    .addSubcommand(sc => sc
+      .setName('set')
+      .setDescription('Set a template ({user} {user.name} {server} {memberCount} {level} {inviter} {accountAge} …)')
+      .addStringOption(templateKindOption)
+      .addStringOption(o => o.setName('message').setDescription('Template text (or the embed description)').setRequired(true).setMaxLength(1800)))
+    .addSubcommand(sc => sc
+      .setName('embed')
+      .setDescription('Render a template as an embed (or turn that off).')
+      .addStringOption(templateKindOption)
+      .addBooleanOption(o => o.setName('enabled').setDescription('Send as an embed').setRequired(true))
+      .addStringOption(o => o.setName('title').setDescription('Embed title (placeholders allowed)').setMaxLength(200))
+      .addStringOption(o => o.setName('color').setDescription('Hex color like #8b5cf6'))
+      .addStringOption(o => o.setName('thumbnail').setDescription('avatar, server, none, or an https:// image URL')))
+    .addSubcommand(sc => sc
+      .setName('test')
+      .setDescription('Preview a template with you (or someone) as the subject.')
+      .addStringOption(templateKindOption)
+      .addUserOption(o => o.setName('user').setDescription('Subject (default: you)')))
+    .addSubcommand(sc => sc
+      .setName('reset')
+      .setDescription('Restore the default template.')
+      .addStringOption(templateKindOption))
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  // PUBLIC: PAST CROWN HOLDERS + RECORDS
+  new SlashCommandBuilder()
+    .setName('halloffame')
+    .setDescription('Past ⌨ Spam Lord / 🎙 Yap Lord holders, longest reigns and most crowns.')
+    .addStringOption(o => o.setName('crown').setDescription('Only one crown').addChoices(
+      { name: '⌨ Spam Lord (text)', value: 'text' },
+      { name: '🎙 Yap Lord (voice)', value: 'voice' },
+    )),
+
+  // SEASONS: HISTORY IS PUBLIC, END/CONFIG NEED MANAGE SERVER
+  new SlashCommandBuilder()
+    .setName('season')
+    .setDescription('Seasons: archive standings and start fresh.')
+    .addSubcommand(sc => sc
+      .setName('end')
+      .setDescription('End the current season: archive standings, crown the champion, reset live XP.')
+      .addBooleanOption(o => o.setName('confirm').setDescription('Must be true to confirm').setRequired(true)))
+    .addSubcommand(sc => sc
+      .setName('history')
+      .setDescription('Browse past seasons.')
+      .addIntegerOption(o => o.setName('number').setDescription('Season number (empty = list all)').setMinValue(1)))
+    .addSubcommand(sc => sc
+      .setName('config')
+      .setDescription('Automatic season length and champion roles.')
+      .addStringOption(o => o.setName('length').setDescription('End seasons automatically').addChoices(
+        { name: 'off (manual only)', value: 'off' },
+        { name: 'weekly (Mondays UTC)', value: 'weekly' },
+        { name: 'monthly (1st of the month UTC)', value: 'monthly' },
+      ))
+      .addBooleanOption(o => o.setName('champion_roles').setDescription('Create a "🏆 Season N Champion" role for each winner'))),
+
+  // ADMIN: inspect per-guild settings
+  new SlashCommandBuilder()
+    .setName('config')
+    .setDescription('Server settings for this bot.')
+    .addSubcommand(sc => sc.setName('show').setDescription('Show the current effective settings for this server.'))
+    .addSubcommand(sc => sc
+      .setName('channels')
+      .setDescription('Bind the logs / level-up / arrival channels (unbound roles fall back to the default names).')
+      .addChannelOption(o => o.setName('logs').setDescription('Logs channel').addChannelTypes(ChannelType.GuildText))
+      .addChannelOption(o => o.setName('levelup').setDescription('Level-up channel').addChannelTypes(ChannelType.GuildText))
+      .addChannelOption(o => o.setName('arrival').setDescription('Arrival channel').addChannelTypes(ChannelType.GuildText))
+      .addStringOption(o => o.setName('clear').setDescription('Unbind a channel role (back to name lookup)').addChoices(
+        { name: 'logs', value: 'logs' },
+        { name: 'levelup', value: 'levelup' },
+        { name: 'arrival', value: 'arrival' },
+        { name: 'all', value: 'all' },
+      )))
+    .addSubcommand(sc => sc
+      .setName('recap')
+      .setDescription('Weekly recap (top 10 + climbers) in the level-up channel.')
+      .addBooleanOption(o => o.setName('weekly').setDescription('Post the weekly recap').setRequired(true)))
+    .addSubcommand(sc => sc
+      .setName('web')
+      .setDescription('Public read-only leaderboard page for this server.')
+      .addBooleanOption(o => o.setName('public_board').setDescription('Anyone with the link can view the leaderboard').setRequired(true)))
+    .addSubcommand(sc => sc
+      .setName('retention')
+      .setDescription("What happens to a leaver's XP and member record.")
+      .addStringOption(o => o.setName('policy').setDescription('Retention policy').setRequired(true).addChoices(
+        { name: 'keep (leave everything as-is)', value: 'keep' },
+        { name: 'purge (delete after N days unless they rejoin)', value: 'purge' },
+        { name: 'restore (hide XP while gone, give it back on rejoin)', value: 'restore' },
+      ))
+      .addIntegerOption(o => o.setName('days').setDescription('purge: delay; restore: drop parked XP after (default 0 = never)').setMinValue(0).setMaxValue(3650)))
+    .addSubcommand(sc => sc
+      .setName('modlog')
+      .setDescription('Turn moderation log events (logs channel) on or off.')
+      .addStringOption(o => o.setName('event').setDescription('Event type').setRequired(true).addChoices(
+        { name: 'message deletes', value: 'messageDelete' },
+        { name: 'message edits', value: 'messageEdit' },
+        { name: 'role changes', value: 'roles' },
+        { name: 'nickname changes', value: 'nicknames' },
+        { name: 'bans / unbans', value: 'bans' },
+        { name: 'channel create / delete', value: 'channels' },
+      ))
+      .addBooleanOption(o => o.setName('enabled').setDescription('Log this event').setRequired(true)))
+    .addSubcommand(sc => sc
+      .setName('voice')
+      .setDescription('Voice XP anti-farm rules.')
+      .addIntegerOption(o => o.setName('min_company').setDescription('Other listening humans required in the channel (0 = solo allowed)').setMinValue(0).setMaxValue(10))
+      .addBooleanOption(o => o.setName('ignore_afk').setDescription('No XP in the server AFK channel'))
+      .addBooleanOption(o => o.setName('ignore_server_muted').setDescription('No XP while server-muted/deafened'))
+      .addChannelOption(o => o.setName('exclude').setDescription('Stop earning XP in this channel').addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice))
+      .addChannelOption(o => o.setName('include').setDescription('Earn XP in this channel again').addChannelTypes(ChannelType.GuildVoice, ChannelType.GuildStageVoice)))
+    .addSubcommand(sc => sc
+      .setName('text')
+      .setDescription('Text XP anti-spam rules.')
+      .addIntegerOption(o => o.setName('min_length').setDescription('Minimum characters (0 = any)').setMinValue(0).setMaxValue(200))
+      .addBooleanOption(o => o.setName('dedupe').setDescription('No XP for near-duplicates of your recent messages'))
+      .addBooleanOption(o => o.setName('ignore_emoji_only').setDescription('No XP for emoji-only messages'))
+      .addStringOption(o => o.setName('prefixes').setDescription('Bot command prefixes earning no XP, space-separated ("none" to clear)').setMaxLength(100))
+      .addIntegerOption(o => o.setName('random_min').setDescription('Random XP lower bound').setMinValue(0).setMaxValue(1000))
+      .addIntegerOption(o => o.setName('random_max').setDescription('Random XP upper bound (0 = flat rate from /levels rates)').setMinValue(0).setMaxValue(1000))
+      .addChannelOption(o => o.setName('exclude_channel').setDescription('Stop earning XP in this channel').addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum))
+      .addChannelOption(o => o.setName('include_channel').setDescription('Earn XP in this channel again').addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum))
+      .addRoleOption(o => o.setName('exclude_role').setDescription('Members with this role earn no text XP'))
+      .addRoleOption(o => o.setName('include_role').setDescription('Members with this role earn text XP again')))
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
   // ADMIN: recompute & assign crown roles (top text/voice)
   new SlashCommandBuilder()
     .setName('refreshcrowns')
     .setDescription('Recompute and assign ⌨ Spam Lord (text) & 🎙 Yap Lord (voice).')
     .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
 
-  ].map(c => c.toJSON());
+  ].map(c => ({ ...c.toJSON(), dm_permission: false })); // EVERY HANDLER NEEDS A GUILD
 
 // ============================================================================
-// COMMAND REGISTRATION (GUILD-SCOPED FOR DEV)
+// COMMAND REGISTRATION (COMMAND_SCOPE: global | guild | both)
+//  - global: every server the bot is in (Discord may take a while to propagate)
+//  - guild:  only DEV_GUILD_IDS (instant) — default when any dev guild is configured
+//  - both:   global + dev guilds (dev guilds list each command twice)
+// OWNER_COMMANDS ARE NEVER GLOBAL — ONLY DEV GUILDS SEE THEM, WHATEVER THE SCOPE
 // ============================================================================
+const OWNER_COMMANDS = new Set(['errors']);
+const DEV_GUILD_IDS = [...new Set([...(process.env.DEV_GUILD_IDS || '').split(','), process.env.GUILD_ID || ''].map(id => id.trim()).filter(Boolean))];
+const COMMAND_SCOPE = (process.env.COMMAND_SCOPE || (DEV_GUILD_IDS.length ? 'guild' : 'global')).toLowerCase();
+
 async function registerCommands() {
   const rest = new REST({ version: '10' }).setToken(process.env.TOKEN);
   try {
-    await rest.put(
-      Routes.applicationGuildCommands(process.env.CLIENT_ID, process.env.GUILD_ID),
-      { body: commands }
-    );
-    console.log('✔ Slash commands registered');
+    if (!['global', 'guild', 'both'].includes(COMMAND_SCOPE)) throw new Error(`Unknown COMMAND_SCOPE "${COMMAND_SCOPE}" (global | guild | both)`);
+    if (COMMAND_SCOPE !== 'guild') {
+      await rest.put(Routes.applicationCommands(process.env.CLIENT_ID), { body: commands.filter(c => !OWNER_COMMANDS.has(c.name)) });
+    }
+    // GLOBAL ONLY: CLEAR OLD DEV-GUILD COPIES SO THEY DON'T SHOW UP TWICE (OWNER COMMANDS STAY)
+    const guildBody = COMMAND_SCOPE === 'global' ? commands.filter(c => OWNER_COMMANDS.has(c.name)) : commands;
+    for (const guildId of DEV_GUILD_IDS) {
+      await rest.put(Routes.applicationGuildCommands(process.env.CLIENT_ID, guildId), { body: guildBody });
+    }
+    if (COMMAND_SCOPE === 'guild' && !DEV_GUILD_IDS.length) console.warn('⚠️ COMMAND_SCOPE=guild but no DEV_GUILD_IDS / GUILD_ID — no commands registered.');
+    else if (!DEV_GUILD_IDS.length) console.warn(`⚠️ No DEV_GUILD_IDS / GUILD_ID — owner commands (${[...OWNER_COMMANDS].map(n => `/${n}`).join(', ')}) not registered.`);
+    console.log(`✔ Slash commands registered (${COMMAND_SCOPE}${DEV_GUILD_IDS.length ? `, dev guilds: ${DEV_GUILD_IDS.join(', ')}` : ''})`);
   } catch (err) {
     console.error('Failed to register commands:', err);
   }
@@ -189,23 +995,94 @@ const client = new Client({
     GatewayIntentBits.Guilds,
     GatewayIntentBits.GuildMembers,
     GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.MessageContent, // TEXT XP ANTI-SPAM (LENGTH / DUPLICATES / PREFIXES) — PRIVILEGED
     GatewayIntentBits.GuildVoiceStates,
+    GatewayIntentBits.GuildMessageReactions, // RULES-MESSAGE ACCEPTANCE (/NEWBIE CONFIG)
+    GatewayIntentBits.GuildInvites, // {inviter} IN WELCOME TEMPLATES
+    GatewayIntentBits.GuildModeration, // BAN / UNBAN MODERATION LOG
   ],
-  partials: [Partials.GuildMember, Partials.User],
+  partials: [Partials.GuildMember, Partials.User, Partials.Message, Partials.Reaction],
 });
 
 client.once('ready', async () => {
   console.log(`🤖 Logged in as ${client.user.tag}`);
+  await loadOwnerIds();
   // STARTUP TASKS
+  for (const [, guild] of client.guilds.cache) {
+    await setupGuild(guild);
+  }
+  // REMOVED WHILE OFFLINE: START THE GRACE PERIOD NOW
+  for (const guildId of Object.keys(DB.guilds)) {
+    if (!client.guilds.cache.has(guildId) && !DB.guildsLeft[guildId]) { DB.guildsLeft[guildId] = Date.now(); saveData(); }
+  }
   startVoiceTicker();
+  startRecentMessagesSweep();
   startNewbieSweep();
+  startTempRoleSweep();
   // initial crowns for all guilds
   for (const [, guild] of client.guilds.cache) {
     await updateCrownRoles(guild).catch(() => {});
   }
   startCrownSweep();
+  startRecapSweep();
+  startSeasonSweep();
+  startBoostSweep();
+  startRetentionSweep();
+});
+
+// ============================================================================
+// MULTI-GUILD LIFECYCLE — PROVISION ON JOIN, FORGET ON LEAVE
+//  - Every collection in DB is keyed by guildId (or guildId:userId) except DB.prefs (per user)
+//  - Being removed keeps the data for GUILD_DATA_GRACE_DAYS in case the bot is re-invited
+// ============================================================================
+const GUILD_DATA_GRACE_DAYS = 30;
+
+// RUNTIME STATE + ROLES THE FEATURES EXPECT (ON READY AND ON JOIN)
+async function setupGuild(guild) {
+  seedVoiceSessions(guild);
+  await cacheInvites(guild);
+  if (DB.guildsLeft[guild.id]) { delete DB.guildsLeft[guild.id]; saveData(); }
+}
+
+client.on('guildCreate', async (guild) => {
+  console.log(`➕ Joined ${guild.name} (${guild.id})`);
+  DB.guilds[guild.id] ||= {}; // DEFAULTS COME FROM GUILD_DEFAULTS
+  saveData();
+  await ensureRole(guild, NEWBIE_ROLE_NAME);
+  await ensureRole(guild, NPC_ROLE_NAME);
+  await ensureCrownRoles(guild).catch(() => {});
+  await setupGuild(guild);
+});
+
+client.on('guildDelete', (guild) => {
+  if (guild.available === false) return; // OUTAGE, NOT A REMOVAL
+  console.log(`➖ Removed from ${guild.name ?? guild.id} (${guild.id}) — data kept ${GUILD_DATA_GRACE_DAYS} days`);
+  const prefix = guild.id + ':';
+  voiceActive.delete(guild.id);
+  inviteCache.delete(guild.id);
+  for (const map of [messageCooldown, botNickEdits, recentMessages, voiceCarryMs]) {
+    for (const key of map.keys()) if (key.startsWith(prefix) || key.startsWith(`msg:${prefix}`)) map.delete(key);
+  }
+  DB.guildsLeft[guild.id] = Date.now();
+  saveData();
 });
 
+// DELETE EVERYTHING STORED FOR A GUILD THE BOT LEFT MORE THAN GUILD_DATA_GRACE_DAYS AGO
+function forgetDepartedGuilds() {
+  const now = Date.now();
+  for (const [guildId, leftAt] of Object.entries(DB.guildsLeft)) {
+    if (now < leftAt + GUILD_DATA_GRACE_DAYS * DAY_MS || client.guilds.cache.has(guildId)) continue;
+    const prefix = guildId + ':';
+    for (const name of ['members', 'xp', 'tempRoles', 'leavers']) {
+      for (const key of Object.keys(DB[name])) if (key.startsWith(prefix)) delete DB[name][key];
+    }
+    for (const name of ['guilds', 'xpDaily', 'recaps', 'crowns', 'seasons', 'audit', 'boosts', 'boostSeq', 'apiKeys', 'apiKeySeq']) delete DB[name][guildId];
+    delete DB.guildsLeft[guildId];
+    saveData();
+    console.log(`🧹 Forgot data for departed guild ${guildId}`);
+  }
+}
+
 // ============================================================================
 // UTILS — ROLE ENSURE + LEVEL MATH
 // ============================================================================
@@ -217,35 +1094,49 @@ async function ensureRole(guild, name) {
   return role;
 }
 
-function totalXpForLevel(level) {
+// CURVE FOR A GUILD (SEE XP CURVE NOTES AT THE TOP); LEVELS ARE ALWAYS DERIVED FROM RAW XP
+const xpCurve = (guildId) => getGuildConfig(guildId).curve;
+const DEFAULT_CURVE = GUILD_DEFAULTS.curve;
+
+function totalXpForLevel(level, curve = DEFAULT_CURVE) {
   // Cumulative XP required to reach `level` (level 0 = 0)
   if (level <= 0) return 0;
-  if (XP_GROWTH === 1) return Math.ceil(XP_BASE * level); // fallback linear
-  return Math.ceil(XP_BASE * (Math.pow(XP_GROWTH, level) - 1) / (XP_GROWTH - 1));
+  const L = level;
+  if (curve.type === 'linear') return Math.ceil(curve.base * L + curve.step * L * (L - 1) / 2);
+  if (curve.type === 'polynomial') {
+    // sum of a*n^2 + b*n + c for n = 0 … L-1
+    return Math.ceil(curve.a * (L - 1) * L * (2 * L - 1) / 6 + curve.b * (L - 1) * L / 2 + curve.c * L);
+  }
+  if (curve.growth === 1) return Math.ceil(curve.base * L); // fallback linear
+  return Math.ceil(curve.base * (Math.pow(curve.growth, L) - 1) / (curve.growth - 1));
 }
 
-function xpNeededForLevel(level) {
+function xpNeededForLevel(level, curve = DEFAULT_CURVE) {
   // XP needed to go from level-1 to `level`
   if (level <= 0) return 0;
-  return Math.ceil(XP_BASE * Math.pow(XP_GROWTH, level - 1));
+  const n = level - 1;
+  if (curve.type === 'linear') return Math.ceil(curve.base + curve.step * n);
+  if (curve.type === 'polynomial') return Math.ceil(curve.a * n * n + curve.b * n + curve.c);
+  return Math.ceil(curve.base * Math.pow(curve.growth, n));
 }
 
-function calcLevel(xp) {
+function calcLevel(xp, curve = DEFAULT_CURVE) {
   // Find the highest level where totalXpForLevel(level) <= xp
-  let n = 0;
-  // Fast path: exponential growth allows logarithmic estimate
-  if (xp > 0 && XP_GROWTH !== 1) {
-    const est = Math.floor(Math.log((xp * (XP_GROWTH - 1)) / XP_BASE + 1) / Math.log(XP_GROWTH));
-    n = Math.max(0, est);
+  if (!(xp > 0)) return 0;
+  // Gallop to an upper bound, then binary search (works for every curve type)
+  let hi = 1;
+  while (totalXpForLevel(hi, curve) <= xp && hi < 1e6) hi *= 2;
+  let lo = 0;
+  while (lo < hi - 1) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (totalXpForLevel(mid, curve) <= xp) lo = mid; else hi = mid;
   }
-  while (totalXpForLevel(n + 1) <= xp) n++;
-  while (n > 0 && totalXpForLevel(n) > xp) n--; // safety
-  return n;
+  return totalXpForLevel(hi, curve) <= xp ? hi : lo;
 }
 
-function xpForNext(level) {
+function xpForNext(level, curve = DEFAULT_CURVE) {
   // Return the cumulative XP threshold for the *next* level
-  return totalXpForLevel(level + 1);
+  return totalXpForLevel(level + 1, curve);
 }
 
 function ensureXpEntry(key) {
@@ -257,19 +1148,88 @@ function ensureXpEntry(key) {
   return e;
 }
 
+// ============================================================================
+// TIME WINDOWS — DAILY XP BUCKETS (UTC) FOR DAY / WEEK / MONTH LEADERBOARDS
+// ============================================================================
+const DAILY_RETENTION_DAYS = 62; // ENOUGH FOR "THIS MONTH" + LAST WEEK'S RECAP
+const PERIOD_LABELS = { day: 'Today', week: 'This Week', month: 'This Month', all: 'All-Time' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const dayKey = (t = Date.now()) => new Date(t).toISOString().slice(0, 10);
+
+// FIRST DAY KEY OF THE CURRENT PERIOD (WEEKS START MONDAY, UTC); null FOR ALL-TIME
+function periodStartKey(period, now = Date.now()) {
+  const d = new Date(now);
+  if (period === 'day') return dayKey(now);
+  if (period === 'week') return dayKey(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - (d.getUTCDay() + 6) % 7));
+  if (period === 'month') return dayKey(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+  return null;
+}
+
+function recordXpDaily(guildId, userId, delta) {
+  if (!delta.xp && !delta.text && !delta.voice) return;
+  const days = (DB.xpDaily[guildId] ||= {});
+  const today = dayKey();
+  if (!days[today]) {
+    // NEW DAY: DROP BUCKETS PAST RETENTION
+    const cutoff = dayKey(Date.now() - DAILY_RETENTION_DAYS * DAY_MS);
+    for (const k of Object.keys(days)) if (k < cutoff) delete days[k];
+    days[today] = {};
+    saveData(); // ONCE A DAY: THE FULL FLUSH DROPS THE PRUNED BUCKETS FROM STORAGE
+  }
+  const b = (days[today][userId] ||= { xp: 0, text: 0, voice: 0 });
+  b.xp += delta.xp; b.text += delta.text; b.voice += delta.voice;
+  storage.putDaily(guildId, today, userId, b);
+}
+
+// SUM OF DAILY BUCKETS IN [fromKey, toKey) — toKey null = UP TO TODAY
+function windowTotals(guildId, fromKey, toKey = null) {
+  const totals = new Map();
+  for (const [day, users] of Object.entries(DB.xpDaily[guildId] || {})) {
+    if (day < fromKey || (toKey && day >= toKey)) continue;
+    for (const [userId, b] of Object.entries(users)) {
+      const t = totals.get(userId) || { xp: 0, text: 0, voice: 0 };
+      t.xp += b.xp; t.text += b.text; t.voice += b.voice;
+      totals.set(userId, t);
+    }
+  }
+  return totals;
+}
+
+// SORTED [{ userId, xp }] FOR field 'xp' | 'text' | 'voice' OVER A PERIOD
+function rankEntries(guildId, field, period = 'all') {
+  if (period === 'all') {
+    return Object.entries(DB.xp)
+      .filter(([k]) => k.startsWith(guildId + ':'))
+      .map(([k, v]) => ({ userId: k.split(':')[1], xp: (v?.[field] ?? 0) }))
+      .sort((a, b) => b.xp - a.xp);
+  }
+  return [...windowTotals(guildId, periodStartKey(period)).entries()]
+    .map(([userId, t]) => ({ userId, xp: t[field] }))
+    .filter(e => e.xp > 0)
+    .sort((a, b) => b.xp - a.xp);
+}
+
 // SOURCE: 'text' | 'voice' | undefined
-function addXP(guildId, userId, amount, source) {
+// ctx = { member, channelId } FOR EARNED XP → STACKED MULTIPLIERS APPLY (ADMIN GRANTS PASS NO ctx)
+function addXP(guildId, userId, amount, source, ctx = null) {
+  const multiplier = ctx ? xpMultiplier(guildId, ctx.member, ctx.channelId) : 1;
+  amount = Math.round(amount * multiplier);
   const key = mkey(guildId, userId);
   const entry = ensureXpEntry(key);
   const before = entry.xp;
+  const { text: textBefore, voice: voiceBefore } = entry;
   entry.xp = Math.max(0, before + amount);
   if (source === 'text') entry.text = Math.max(0, (entry.text || 0) + amount);
   else if (source === 'voice') entry.voice = Math.max(0, (entry.voice || 0) + amount);
   DB.xp[key] = entry;
-  saveData();
-  const lvlBefore = calcLevel(before);
-  const lvlAfter = calcLevel(entry.xp);
-  return { before: before, after: entry.xp, levelUp: lvlAfter > lvlBefore, newLevel: lvlAfter };
+  storage.putXp(key, entry);
+  recordXpDaily(guildId, userId, { xp: entry.xp - before, text: entry.text - textBefore, voice: entry.voice - voiceBefore });
+  if (entry.xp > before) incMetric('bot_xp_awarded_total', { source: ctx ? source : 'admin' }, entry.xp - before);
+  const curve = xpCurve(guildId);
+  const lvlBefore = calcLevel(before, curve);
+  const lvlAfter = calcLevel(entry.xp, curve);
+  if (lvlAfter > lvlBefore) incMetric('bot_level_ups_total');
+  return { before: before, after: entry.xp, levelUp: lvlAfter > lvlBefore, oldLevel: lvlBefore, newLevel: lvlAfter, multiplier };
 }
 
 // BADGE HELPERS (ROLE ONLY)
@@ -301,15 +1261,188 @@ async function setNickRoleBadge(member) {
     if (hasVoiceCrown) icons.push('🎙');
     const prefix = icons.length ? icons.join(' ') + ' ' : '';
     const finalNick = (prefix + base).slice(0, 32);
-    if (finalNick !== current) await member.setNickname(finalNick).catch(() => {});
+    if (finalNick !== current) {
+      // REMEMBER OUR OWN EDIT SO THE MODERATION LOG DOESN'T REPORT IT
+      const key = mkey(member.guild.id, member.id);
+      botNickEdits.set(key, finalNick);
+      await member.setNickname(finalNick).catch(() => botNickEdits.delete(key));
+    }
   } catch { /* ignore perms/hierarchy issues */ }
 }
 
+// ============================================================================
+// XP MULTIPLIERS — /XPBOOST EVENTS (DB.boosts) + SERVER BOOSTERS, STACKED MULTIPLICATIVELY
+//  - A boost applies when its channel (if any) matches AND the member has its role (if any)
+//  - Threads count as their parent channel
+// ============================================================================
+function activeBoosts(guildId, now = Date.now()) {
+  return (DB.boosts[guildId] || []).filter(b => b.startedAt <= now && b.expiresAt > now);
+}
+
+function boostApplies(boost, member, channelId) {
+  if (boost.roleId && !member?.roles.cache.has(boost.roleId)) return false;
+  if (boost.channelId) {
+    const channel = member?.guild.channels.cache.get(channelId);
+    if (boost.channelId !== channelId && boost.channelId !== channel?.parentId) return false;
+  }
+  return true;
+}
+
+// PRODUCT OF EVERY MULTIPLIER COUNTING FOR member IN channelId (CAPPED)
+function xpMultiplier(guildId, member, channelId) {
+  let m = 1;
+  for (const b of activeBoosts(guildId)) if (boostApplies(b, member, channelId)) m *= b.multiplier;
+  if (member?.premiumSince) m *= getGuildConfig(guildId).boosts.boosterMultiplier;
+  return Math.min(MAX_XP_MULTIPLIER, m);
+}
+
+function describeBoost(b) {
+  const scope = [b.channelId && `in <#${b.channelId}>`, b.roleId && `for <@&${b.roleId}>`].filter(Boolean).join(' ') || 'server-wide';
+  return `\`#${b.id}\` **×${b.multiplier}** ${scope} — ends <t:${Math.floor(b.expiresAt / 1000)}:R>`;
+}
+
+// DROP EXPIRED BOOSTS AND SAY SO IN THE LEVEL-UP CHANNEL
+function expireBoosts() {
+  const now = Date.now();
+  for (const [guildId, list] of Object.entries(DB.boosts)) {
+    const ended = list.filter(b => b.expiresAt <= now);
+    if (!ended.length) continue;
+    DB.boosts[guildId] = list.filter(b => b.expiresAt > now);
+    saveData();
+    const guild = client.guilds.cache.get(guildId);
+    if (guild) safeSendLevelUp(guild, { content: ended.map(b => `⌛ XP boost over: ${describeBoost(b).replace(/ — ends.*$/, '')}`).join('\n'), allowedMentions: { parse: [] } });
+  }
+}
+
+function startBoostSweep() {
+  expireBoosts();
+  setInterval(expireBoosts, 60 * 1000);
+}
+
+// ============================================================================
+// TEMPLATES — SHARED BY WELCOME / GOODBYE / LEVEL-UP MESSAGES (/WELCOME)
+//  - Placeholders: {user} {user.name} {user.tag} {user.id} {server} {memberCount}
+//    {level} {inviter} {accountAge}; unknown placeholders are left as-is
+//  - User-controlled values are markdown-escaped and can't mass-mention
+//  - Optional embed: title (placeholders allowed), color, thumbnail (avatar|server|URL)
+// ============================================================================
+const TEMPLATE_KINDS = ['welcome', 'goodbye', 'levelup'];
+const TEMPLATE_PLACEHOLDERS = '{user} {user.name} {user.tag} {user.id} {server} {memberCount} {level} {inviter} {accountAge}';
+const DEFAULT_TEMPLATES = {
+  welcome: { message: 'Welcome to the darkness, {user} — may your stay be pleasantly weird. No unsolicited pings; enjoy the chaos. 🖤', embed: null },
+  goodbye: { message: 'Goodbye {user.tag} — behave out there.', embed: null },
+  levelup: { message: '{user} just hit **level {level}** — keep it weird.', embed: { title: '✨ Level Up!', color: null, thumbnail: null } },
+};
+
+// EFFECTIVE TEMPLATE (STORED → LEGACY /SETWELCOME + /GOODBYE FIELDS → DEFAULT)
+function getTemplate(guildId, kind) {
+  const conf = getGuildConfig(guildId);
+  if (conf.templates[kind]) return conf.templates[kind];
+  // LEGACY GOODBYE TEMPLATES USED {user} FOR THE TAG
+  if (kind === 'goodbye' && conf.goodbye?.message) return { message: conf.goodbye.message.replaceAll('{user}', '{user.tag}'), embed: null };
+  return DEFAULT_TEMPLATES[kind];
+}
+
+// /SETWELCOME FALLBACK (NO ARRIVAL CHANNEL): ITS OWN MESSAGE IF SET, ELSE THE WELCOME TEMPLATE
+function getFallbackWelcome(guildId) {
+  const { welcome } = getGuildConfig(guildId);
+  return welcome?.message ? { message: welcome.message, embed: null } : getTemplate(guildId, 'welcome');
+}
+
+function setTemplate(guildId, kind, tpl) {
+  const templates = { ...getGuildConfig(guildId).templates, [kind]: tpl };
+  const patch = { templates };
+  // THE NEW TEMPLATE SUPERSEDES THE LEGACY FIELD (welcome.message IS NOT LEGACY — IT'S THE /SETWELCOME FALLBACK)
+  if (kind === 'goodbye') patch.goodbye = undefined;
+  return updateGuildConfig(guildId, patch);
+}
+
+const escapeUserText = (v) => escapeMarkdown(String(v)).replace(/@/g, '@\u200b');
+
+// "2 years, 3 months" / "5 days" / "3 hours"
+function formatAge(msAge) {
+  const days = Math.floor(msAge / DAY_MS);
+  if (days < 1) return ms(Math.max(msAge, 60000), { long: true });
+  const years = Math.floor(days / 365);
+  const months = Math.floor((days % 365) / 30);
+  const parts = [];
+  if (years) parts.push(`${years} year${years === 1 ? '' : 's'}`);
+  if (months) parts.push(`${months} month${months === 1 ? '' : 's'}`);
+  if (!years && !months) parts.push(`${days} day${days === 1 ? '' : 's'}`);
+  return parts.join(', ');
+}
+
+// ctx: { guild, user, member?, level?, inviter? (User) }
+function templateVars({ guild, user, member, level, inviter }) {
+  return {
+    user: `<@${user.id}>`,
+    'user.name': escapeUserText(member?.displayName ?? user.globalName ?? user.username),
+    'user.tag': escapeUserText(user.tag ?? user.username),
+    'user.id': user.id,
+    server: escapeUserText(guild.name),
+    memberCount: String(guild.memberCount ?? ''),
+    level: level === undefined ? '' : String(level),
+    inviter: inviter ? escapeUserText(inviter.tag ?? inviter.username) : 'someone',
+    accountAge: formatAge(Date.now() - user.createdTimestamp),
+  };
+}
+
+const renderTemplate = (text, vars) => String(text || '').replace(/\{(\w+(?:\.\w+)?)\}/g, (m, k) => (k in vars ? vars[k] : m));
+
+// MESSAGE PAYLOAD FOR A TEMPLATE; ONLY THE SUBJECT USER MAY BE PINGED (AND ONLY FROM PLAIN CONTENT)
+function buildTemplatePayload(tpl, ctx, extraFields = []) {
+  const vars = templateVars(ctx);
+  const text = renderTemplate(tpl.message, vars);
+  const allowedMentions = { parse: [], users: [ctx.user.id] };
+  if (!tpl.embed) {
+    const extra = extraFields.map(f => `${f.name}: ${f.value}`).join('\n');
+    return { content: (extra ? `${text}\n${extra}` : text).slice(0, 2000), allowedMentions };
+  }
+  const embed = new EmbedBuilder().setDescription(text.slice(0, 4096) || '\u200b').setTimestamp(new Date());
+  if (tpl.embed.title) embed.setTitle(renderTemplate(tpl.embed.title, vars).slice(0, 256));
+  if (tpl.embed.color) embed.setColor(tpl.embed.color);
+  const thumb = tpl.embed.thumbnail === 'avatar' ? (ctx.member ?? ctx.user).displayAvatarURL({ size: 256 })
+    : tpl.embed.thumbnail === 'server' ? ctx.guild.iconURL({ size: 256 })
+    : tpl.embed.thumbnail;
+  if (thumb) embed.setThumbnail(thumb);
+  if (extraFields.length) embed.addFields(extraFields);
+  return { embeds: [embed], allowedMentions };
+}
+
+// INVITE TRACKING FOR {inviter}: GUILDID -> MAP(CODE -> { uses, inviterId })
+const inviteCache = new Map();
+async function cacheInvites(guild) {
+  const invites = await guild.invites.fetch().catch(() => null); // NEEDS MANAGE SERVER
+  if (!invites) return;
+  inviteCache.set(guild.id, new Map(invites.map(i => [i.code, { uses: i.uses ?? 0, inviterId: i.inviterId }])));
+}
+client.on('inviteCreate', (invite) => {
+  if (!invite.guild) return;
+  if (!inviteCache.has(invite.guild.id)) inviteCache.set(invite.guild.id, new Map());
+  inviteCache.get(invite.guild.id).set(invite.code, { uses: invite.uses ?? 0, inviterId: invite.inviterId });
+});
+client.on('inviteDelete', (invite) => { if (invite.guild) inviteCache.get(invite.guild.id)?.delete(invite.code); });
+
+// WHICH INVITE'S USE COUNT WENT UP SINCE THE LAST SNAPSHOT
+async function findInviter(guild) {
+  const before = inviteCache.get(guild.id);
+  await cacheInvites(guild);
+  const after = inviteCache.get(guild.id);
+  if (!before || !after) return null;
+  for (const [code, now] of after) {
+    if (now.uses > (before.get(code)?.uses ?? 0) && now.inviterId) {
+      return client.users.fetch(now.inviterId).catch(() => null);
+    }
+  }
+  return null;
+}
+
 // ============================================================================
 // FEATURE: ONBOARDING (ASSIGN NEWBIE ROLE + BADGE, SEND ARRIVAL MESSAGE)
 // ============================================================================
 client.on('guildMemberAdd', async (member) => {
   const guild = member.guild;
+  const inviterPromise = findInviter(guild).catch(() => null); // SNAPSHOT INVITES BEFORE ANYTHING SLOW
   const newbieRole = await ensureRole(guild, NEWBIE_ROLE_NAME);
   await ensureRole(guild, NPC_ROLE_NAME); // ENSURE NPC EXISTS FOR LATER
 
@@ -320,59 +1453,90 @@ client.on('guildMemberAdd', async (member) => {
   // STORE ORIGINAL NICK + APPLY BADGE
   const key = mkey(guild.id, member.id);
   const originalNick = member.nickname ?? null;
-  DB.members[key] = { ...(DB.members[key] || {}), joinedAt: Date.now(), newbieSince: Date.now(), originalNick };
+  const { leftAt, ...previous } = DB.members[key] || {};
+  DB.members[key] = { ...previous, joinedAt: Date.now(), newbieSince: Date.now(), originalNick };
   saveData();
+  await restoreLeaver(member);
 
   // PREFIX NICKNAME WITH BADGE (IF POSSIBLE)
   await setNickRoleBadge(member);
 
-  // ARRIVAL MESSAGE → ARRIVAL CHANNEL; FALLBACK TO /SETWELCOME CONFIG
-  const arrival = getArrivalChannel(guild);
-  const arrivalMsg = `Welcome to the darkness, {user} — may your stay be pleasantly weird. No unsolicited pings; enjoy the chaos. 🖤`;
-  if (arrival) {
-    arrival.send({ content: arrivalMsg.replace('{user}', `<@${member.id}>`) }).catch(() => {});
-  } else {
-    const conf = welcomeConfig.get(guild.id);
-    if (conf) {
-      const ch = guild.channels.cache.get(conf.channelId);
-      if (ch && ch.type === ChannelType.GuildText) {
-        const msg = (conf.message || arrivalMsg).replace('{user}', `<@${member.id}>`);
-        ch.send({ content: msg }).catch(() => {});
-      }
-    }
+  // ARRIVAL MESSAGE → ARRIVAL CHANNEL; FALLBACK TO /SETWELCOME CHANNEL
+  let ch = getArrivalChannel(guild);
+  let tpl = getTemplate(guild.id, 'welcome');
+  if (!ch) {
+    const fallback = guild.channels.cache.get(getGuildConfig(guild.id).welcome?.channelId);
+    if (fallback?.type === ChannelType.GuildText) { ch = fallback; tpl = getFallbackWelcome(guild.id); }
   }
+  if (!ch) return;
+  const payload = buildTemplatePayload(tpl, { guild, user: member.user, member, inviter: await inviterPromise });
+  ch.send(payload).catch(() => {});
 });
 
 // ============================================================================
-// FEATURE: SCHEDULED PROMOTION SWEEP (NEWBIE → NPC AFTER 14 DAYS)
+// FEATURE: NEWBIE → NPC PIPELINE (PER-GUILD GATES: DAYS, LEVEL/XP, RULES)
+//  - Hourly sweep only fetches members the bot is tracking as newbies
+//  - /newbie status | promote | extend | config
 // ============================================================================
-async function promoteIfDue(guild) {
+// CHECKLIST TOWARD PROMOTION: { checks: [{ label, ok, detail }], due, eligibleAt }
+function newbieProgress(guild, member, meta) {
+  const conf = getGuildConfig(guild.id).newbie;
+  const checks = [];
+  const eligibleAt = meta.newbieSince + conf.minDays * DAY_MS + (meta.newbieExtraMs || 0);
+  checks.push({ label: 'Time served', ok: Date.now() >= eligibleAt, detail: `eligible <t:${Math.floor(eligibleAt / 1000)}:R>` });
+
+  const xp = DB.xp[mkey(guild.id, member.id)]?.xp || 0;
+  if (conf.minLevel > 0) {
+    const lvl = calcLevel(xp, xpCurve(guild.id));
+    checks.push({ label: 'Level', ok: lvl >= conf.minLevel, detail: `${lvl} / ${conf.minLevel}` });
+  }
+  if (conf.minXp > 0) checks.push({ label: 'XP', ok: xp >= conf.minXp, detail: `${xp} / ${conf.minXp}` });
+
+  if (conf.rules === 'react') {
+    checks.push({ label: 'Reacted to rules', ok: !!meta.rulesAcceptedAt, detail: conf.rulesMessageId ? `message in <#${conf.rulesChannelId}>` : 'rules message not set' });
+  } else if (conf.rules === 'screening') {
+    checks.push({ label: 'Accepted server rules', ok: member.pending === false, detail: member.pending ? 'membership screening pending' : 'done' });
+  }
+  return { checks, due: checks.every(c => c.ok), eligibleAt };
+}
+
+async function promoteNewbie(guild, member, reason = 'Newbie period complete') {
   const newbieRole = guild.roles.cache.find(r => r.name === NEWBIE_ROLE_NAME);
-  const npcRole = guild.roles.cache.find(r => r.name === NPC_ROLE_NAME);
-  if (!newbieRole || !npcRole) return;
+  const npcRole = guild.roles.cache.find(r => r.name === NPC_ROLE_NAME) || await ensureRole(guild, NPC_ROLE_NAME);
+  // ROLE SWAP
+  if (newbieRole) { try { await member.roles.remove(newbieRole, reason); } catch {} }
+  if (npcRole) { try { await member.roles.add(npcRole, 'Promoted to NPC'); } catch {} }
+  // BADGE SWAP (KEEPS CHAMP BADGE IF ANY)
+  await setNickRoleBadge(member);
+  // MARK AS PROCESSED
+  const key = mkey(guild.id, member.id);
+  DB.members[key] = { ...(DB.members[key] || {}), newbieSince: null };
+  saveData();
 
-  const now = Date.now();
-  for (const member of (await guild.members.fetch()).values()) {
-    const key = mkey(guild.id, member.id);
-    const meta = DB.members[key];
-    if (!meta || !meta.newbieSince) continue;
-    const hasNewbie = member.roles.cache.has(newbieRole.id);
-    if (!hasNewbie) continue;
+  // ANNOUNCE PROMOTION IN LEVEL-UP CHANNEL (KEEP LOGS CLEAN)
+  const lvlCh = getLevelUpChannel(guild);
+  lvlCh?.send({ content: `🛡️ Promotion: ${member} → **${NPC_ROLE_NAME}** (${reason}).` }).catch(() => {});
+}
 
-    if (now - meta.newbieSince >= NEWBIE_DURATION_MS) {
-      // ROLE SWAP
-      try { await member.roles.remove(newbieRole, 'Newbie period ended'); } catch {}
-      try { await member.roles.add(npcRole, 'Promoted to NPC'); } catch {}
-      // BADGE SWAP (KEEPS CHAMP BADGE IF ANY)
-      await setNickRoleBadge(member);
-      // MARK AS PROCESSED
-      meta.newbieSince = null;
-      DB.members[key] = meta; saveData();
+// PROMOTE ONE MEMBER IF EVERY GATE PASSES (ALSO USED RIGHT AFTER A RULES ACCEPTANCE)
+async function checkNewbie(guild, member) {
+  const newbieRole = guild.roles.cache.find(r => r.name === NEWBIE_ROLE_NAME);
+  const meta = DB.members[mkey(guild.id, member.id)];
+  if (!newbieRole || !meta?.newbieSince || !member.roles.cache.has(newbieRole.id)) return false;
+  if (!newbieProgress(guild, member, meta).due) return false;
+  await promoteNewbie(guild, member);
+  return true;
+}
 
-      // ANNOUNCE PROMOTION IN LEVEL-UP CHANNEL (KEEP LOGS CLEAN)
-      const lvlCh = getLevelUpChannel(guild);
-      lvlCh?.send({ content: `🛡️ Promotion: ${member} → **${NPC_ROLE_NAME}** (Newbie period complete).` }).catch(() => {});
-    }
+async function promoteIfDue(guild) {
+  const prefix = guild.id + ':';
+  const ids = Object.entries(DB.members)
+    .filter(([k, meta]) => k.startsWith(prefix) && meta?.newbieSince && !meta.leftAt)
+    .map(([k]) => k.slice(prefix.length));
+  // FETCH ONLY TRACKED NEWBIES (CHUNKS OF 100)
+  for (let i = 0; i < ids.length; i += 100) {
+    const members = await guild.members.fetch({ user: ids.slice(i, i + 100) }).catch(() => null);
+    for (const member of members?.values() ?? []) await checkNewbie(guild, member);
   }
 }
 
@@ -385,6 +1549,80 @@ function startNewbieSweep() {
   }, 60 * 60 * 1000);
 }
 
+async function markRulesAccepted(guild, member) {
+  const key = mkey(guild.id, member.id);
+  const meta = DB.members[key];
+  if (!meta?.newbieSince || meta.rulesAcceptedAt) return;
+  meta.rulesAcceptedAt = Date.now();
+  saveData();
+  await checkNewbie(guild, member).catch(() => {});
+}
+
+// RULES GATE: REACTION ON THE CONFIGURED RULES MESSAGE
+client.on('messageReactionAdd', async (reaction, user) => {
+  if (user.bot) return;
+  if (reaction.partial) reaction = await reaction.fetch().catch(() => null);
+  const guild = reaction?.message.guild;
+  if (!guild) return;
+  const conf = getGuildConfig(guild.id).newbie;
+  if (conf.rules !== 'react' || reaction.message.id !== conf.rulesMessageId) return;
+  if (conf.rulesEmoji && ![reaction.emoji.name, reaction.emoji.id, reaction.emoji.toString()].includes(conf.rulesEmoji)) return;
+  const member = await guild.members.fetch(user.id).catch(() => null);
+  if (member) await markRulesAccepted(guild, member);
+});
+
+// RULES GATE: DISCORD MEMBERSHIP SCREENING COMPLETED
+client.on('guildMemberUpdate', async (oldMember, newMember) => {
+  if (oldMember.pending && !newMember.pending && getGuildConfig(newMember.guild.id).newbie.rules === 'screening') {
+    await markRulesAccepted(newMember.guild, newMember);
+  }
+});
+
+// ============================================================================
+// FEATURE: TEMP ROLE SWEEP (EXPIRIES PERSISTED IN DB.tempRoles)
+// ============================================================================
+const TEMP_ROLE_RETRY_MS = DAY_MS; // KEEP RETRYING A FAILED REMOVAL THIS LONG PAST EXPIRY
+
+async function expireTempRoles() {
+  const now = Date.now();
+  for (const [key, t] of Object.entries(DB.tempRoles)) {
+    if (t.expiresAt > now) continue;
+    const guild = client.guilds.cache.get(t.guildId);
+    if (!guild) continue; // NOT IN CACHE (YET) — RETRY NEXT SWEEP
+
+    const member = await guild.members.fetch(t.userId).catch(() => null);
+    const role = guild.roles.cache.get(t.roleId);
+    const roleLabel = role ? `**${role.name}**` : `deleted role (${t.roleId})`;
+    let removed = false;
+    if (member && role && member.roles.cache.has(role.id)) {
+      removed = await member.roles.remove(role, 'Temp role expired').then(() => true, () => false);
+      // FAILED (PERMISSIONS / HIERARCHY / DISCORD HICCUP): KEEP THE RECORD, RETRY EVERY SWEEP FOR TEMP_ROLE_RETRY_MS
+      if (!removed && now < t.expiresAt + TEMP_ROLE_RETRY_MS) {
+        if (!t.failedAt) {
+          t.failedAt = now; saveData();
+          getLogChannel(guild)?.send({ content: `⚠️ Couldn't remove expired temp role ${roleLabel} from <@${t.userId}> — retrying (check my role position / Manage Roles).`, allowedMentions: { parse: [] } }).catch(() => {});
+        }
+        continue;
+      }
+    }
+    delete DB.tempRoles[key]; saveData();
+    const status = removed ? 'removed' : !member ? 'member left' : member.roles.cache.has(t.roleId) ? 'could not be removed — gave up' : 'already gone';
+    getLogChannel(guild)?.send({ content: `⏳ Temp role expired: ${roleLabel} → <@${t.userId}> (${status}).`, allowedMentions: { parse: [] } }).catch(() => {});
+  }
+}
+
+function startTempRoleSweep() {
+  // CATCH UP ON ANYTHING THAT EXPIRED WHILE OFFLINE, THEN CHECK EVERY 30S
+  let sweeping = false; // A SWEEP STUCK ON SLOW REMOVALS MUST NOT OVERLAP THE NEXT (SAME EXPIRY TWICE)
+  const sweep = async () => {
+    if (sweeping) return;
+    sweeping = true;
+    try { await expireTempRoles(); } catch {} finally { sweeping = false; }
+  };
+  sweep();
+  setInterval(sweep, 30 * 1000);
+}
+
 // ============================================================================
 // CROWN ROLES — TOP TEXT / TOP VOICE
 //  - Assign ⌨ Spam Lord to highest text XP
@@ -469,6 +1707,8 @@ async function updateCrownRoles(guild) {
 
   await assign(textRole, newTextId);
   await assign(voiceRole, newVoiceId);
+  if (newTextId) recordCrownHolder(guild.id, 'text', newTextId);
+  if (newVoiceId) recordCrownHolder(guild.id, 'voice', newVoiceId);
 
   // Announcements (only when we have a concrete new winner)
   // Double-crown announcement if both changed and go to same user
@@ -490,77 +1730,770 @@ async function updateCrownRoles(guild) {
   }
 }
 
-function startCrownSweep() {
-  setInterval(async () => {
-    for (const [, guild] of client.guilds.cache) {
-      await updateCrownRoles(guild).catch(() => {});
+// ============================================================================
+// CROWN HISTORY — EVERY REIGN WITH TIMESTAMPS (/HALLOFFAME, /RANK)
+// ============================================================================
+const CROWNS = {
+  text: { label: '⌨ Spam Lord', icon: '⌨' },
+  voice: { label: '🎙 Yap Lord', icon: '🎙' },
+};
+
+const crownLog = (guildId) => (DB.crowns[guildId] ||= []);
+const openReign = (guildId, crown) => crownLog(guildId).find(r => r.crown === crown && !r.until);
+const reignLength = (r, now = Date.now()) => (r.until || now) - r.since;
+
+// CLOSE THE OPEN REIGN (IF SOMEONE ELSE HOLDS IT) AND START A NEW ONE; userId null = CROWN VACATED
+function recordCrownHolder(guildId, crown, userId, now = Date.now()) {
+  const open = openReign(guildId, crown);
+  if (open?.userId === userId) return;
+  if (open) open.until = now;
+  if (userId) crownLog(guildId).push({ crown, userId, since: now, until: null });
+  saveData();
+}
+
+// PER-USER STATS FOR ONE CROWN: { userId, times, totalMs, longestMs, current }
+function crownStats(guildId, crown) {
+  const stats = new Map();
+  for (const r of crownLog(guildId)) {
+    if (r.crown !== crown) continue;
+    const st = stats.get(r.userId) || { userId: r.userId, times: 0, totalMs: 0, longestMs: 0, current: false };
+    const len = reignLength(r);
+    st.times++; st.totalMs += len; st.longestMs = Math.max(st.longestMs, len);
+    if (!r.until) st.current = true;
+    stats.set(r.userId, st);
+  }
+  return [...stats.values()];
+}
+
+const fmtSpan = (msSpan) => ms(Math.max(msSpan, 60000), { long: true });
+
+function startCrownSweep() {
+  setInterval(async () => {
+    for (const [, guild] of client.guilds.cache) {
+      await updateCrownRoles(guild).catch(() => {});
+    }
+  }, 60 * 60 * 1000); // hourly
+}
+
+// ============================================================================
+// XP RESET — SHARED BY /RESETXP AND SEASON ENDS
+//  - Zeroes live XP, strips crowns + level rewards, closes open reigns
+//  - Returns the entries as they were, for archives and undo
+// ============================================================================
+async function resetGuildXp(guild, reason) {
+  const prefix = guild.id + ':';
+  const previous = {};
+  let affected = 0;
+  for (const [k, v] of Object.entries(DB.xp)) {
+    if (k.startsWith(prefix)) {
+      previous[k] = { ...v };
+      v.xp = 0; v.text = 0; v.voice = 0; DB.xp[k] = v; affected++;
+    }
+  }
+  saveData();
+
+  // Remove crowns from everyone for a clean restart
+  const { textRole, voiceRole } = await ensureCrownRoles(guild);
+  const members = await guild.members.fetch();
+  for (const m of members.values()) {
+    if (textRole && m.roles.cache.has(textRole.id)) { try { await m.roles.remove(textRole, reason); } catch {} }
+    if (voiceRole && m.roles.cache.has(voiceRole.id)) { try { await m.roles.remove(voiceRole, reason); } catch {} }
+    await syncLevelRoles(m, 0);
+    await setNickRoleBadge(m);
+  }
+  recordCrownHolder(guild.id, 'text', null);
+  recordCrownHolder(guild.id, 'voice', null);
+  return { affected, previous };
+}
+
+// ============================================================================
+// SEASONS — ARCHIVE STANDINGS, CROWN A CHAMPION, RESET LIVE XP
+//  - /season end (manual) or automatic weekly/monthly ends from the hourly sweep
+// ============================================================================
+// READ-ONLY: A GUILD THAT NEVER ENABLED OR ENDED A SEASON HAS NO STORED STATE (startedAt null)
+function seasonState(guildId) {
+  return DB.seasons[guildId] ?? { number: 1, startedAt: null, archive: [] };
+}
+
+// WRITE PATHS START SEASON 1 IF NOTHING IS STORED YET: NOW WHEN SEASONS ARE ENABLED,
+// UNKNOWN (null) WHEN /SEASON END ARCHIVES A SEASON THAT WAS NEVER TRACKED
+function openSeasonState(guildId, startedAt = Date.now()) {
+  if (!DB.seasons[guildId]) {
+    DB.seasons[guildId] = { number: 1, startedAt, archive: [] };
+    saveData();
+  }
+  return DB.seasons[guildId];
+}
+
+const seasonDate = (t) => (t ? `<t:${Math.floor(t / 1000)}:d>` : 'unknown');
+
+// WHEN AN AUTOMATIC SEASON STARTED AT startedAt ENDS (NEXT MONDAY / 1ST OF MONTH, UTC)
+function seasonEndsAt(startedAt, length) {
+  const d = new Date(startedAt);
+  if (length === 'weekly') return Date.parse(periodStartKey('week', startedAt)) + 7 * DAY_MS;
+  if (length === 'monthly') return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+  return null;
+}
+
+async function endSeason(guild, endedBy = null) {
+  const state = openSeasonState(guild.id, null);
+  const standings = rankedEntries(guild.id, 'xp', 'all').map(e => {
+    const v = DB.xp[mkey(guild.id, e.userId)];
+    return { userId: e.userId, xp: v.xp, text: v.text || 0, voice: v.voice || 0 };
+  });
+  const top = (f) => [...standings].sort((a, b) => b[f] - a[f])[0];
+  const champions = {
+    xp: standings[0]?.userId ?? null,
+    text: top('text')?.text > 0 ? top('text').userId : null,
+    voice: top('voice')?.voice > 0 ? top('voice').userId : null,
+  };
+
+  // OPTIONAL "🏆 Season N Champion" ROLE FOR THE OVERALL WINNER (KEPT FOREVER)
+  let roleId = null;
+  if (getGuildConfig(guild.id).seasons.championRoles && champions.xp) {
+    const role = await guild.roles.create({ name: `🏆 Season ${state.number} Champion`, reason: `Season ${state.number} champion` }).catch(() => null);
+    const member = role && await guild.members.fetch(champions.xp).catch(() => null);
+    if (member) await member.roles.add(role, `Season ${state.number} champion`).catch(() => {});
+    roleId = role?.id ?? null;
+  }
+
+  const now = Date.now();
+  const record = { number: state.number, startedAt: state.startedAt, endedAt: now, endedBy, standings, champions, roleId };
+  state.archive.push(record);
+  state.number += 1;
+  state.startedAt = now;
+  saveData();
+
+  const { affected } = await resetGuildXp(guild, `Season ${record.number} ended`);
+  recordAudit(guild, { actor: endedBy, kind: 'season', delta: affected, source: `season ${record.number}` });
+
+  const lines = standings.slice(0, 3).map((e, i) => `${['🥇', '🥈', '🥉'][i]} <@${e.userId}> — **${e.xp} XP**`);
+  const embed = new EmbedBuilder()
+    .setTitle(`🏁 Season ${record.number} is over`)
+    .setDescription(`${lines.join('\n') || 'Nobody scored. Brutal.'}\n\nAll XP is back to **0** — Season ${state.number} starts now.`)
+    .addFields(
+      { name: '⌨ Top text', value: champions.text ? `<@${champions.text}>` : '—', inline: true },
+      { name: '🎙 Top voice', value: champions.voice ? `<@${champions.voice}>` : '—', inline: true },
+    )
+    .setTimestamp(new Date());
+  safeSendLevelUp(guild, { embeds: [embed], allowedMentions: { parse: [] } });
+  return record;
+}
+
+function startSeasonSweep() {
+  setInterval(async () => {
+    for (const [, guild] of client.guilds.cache) {
+      const { length } = getGuildConfig(guild.id).seasons;
+      if (length === 'off') continue;
+      const endsAt = seasonEndsAt(openSeasonState(guild.id).startedAt, length);
+      if (endsAt && Date.now() >= endsAt) await endSeason(guild).catch(() => {});
     }
   }, 60 * 60 * 1000); // hourly
 }
 
+// ============================================================================
+// XP AUDIT JOURNAL — EVERY ADMIN MUTATION OF DB.xp, WITH UNDO
+//  - give: before = the target's entry; undo subtracts what was actually applied
+//  - reset: the guild's entries go in lastReset (ONE SNAPSHOT, NOT PER ENTRY) — only the latest reset is undoable,
+//    undo adds them back on top of XP earned since
+//  - undos never count as XP earned: day/week/month buckets are only corrected for the grant's own day
+//  - season: journaled only (the archive is the record) — not undoable
+// ============================================================================
+function auditState(guildId) {
+  return (DB.audit[guildId] ||= { seq: 0, entries: [] });
+}
+
+function describeAudit(e) {
+  const who = !e.actor ? 'auto' : /^\d+$/.test(e.actor) ? `<@${e.actor}>` : escapeMarkdown(e.actor); // 'dashboard' = ADMIN TOKEN, 'api:<label>' = API KEY
+  const sign = (n) => (n > 0 ? `+${n}` : String(n));
+  const undone = e.undoneBy ? ' ~~undone~~' : '';
+  if (e.kind === 'give') return `\`#${e.id}\` ${who} → <@${e.target}> **${sign(e.delta)} ${e.source} XP** (${e.before.xp} → ${e.before.xp + e.delta})${undone}`;
+  if (e.kind === 'reset') return `\`#${e.id}\` ${who} reset **all XP** (${e.delta} entries)${undone}`;
+  if (e.kind === 'season') return `\`#${e.id}\` ${who} ended **${e.source}** (${e.delta} entries reset)`;
+  if (e.kind === 'undo') return `\`#${e.id}\` ${who} undid \`#${e.undoOf}\``;
+  return `\`#${e.id}\` ${e.kind}`;
+}
+
+function recordAudit(guild, op) {
+  const state = auditState(guild.id);
+  const { snapshot, ...rest } = op;
+  const entry = { id: ++state.seq, at: Date.now(), ...rest };
+  if (snapshot) state.lastReset = { id: entry.id, before: snapshot };
+  state.entries.push(entry);
+  if (state.entries.length > AUDIT_MAX_ENTRIES) state.entries.splice(0, state.entries.length - AUDIT_MAX_ENTRIES);
+  saveData();
+  getLogChannel(guild)?.send({ content: `🧾 ${describeAudit(entry)}`, allowedMentions: { parse: [] } }).catch(() => {});
+  return entry;
+}
+
+// ADMIN GRANT (/GIVEXP, DASHBOARD): ADD XP, JOURNAL IT, SYNC REWARDS, ANNOUNCE
+async function grantXp(guild, actor, userId, amount, source) {
+  const key = mkey(guild.id, userId);
+  const { xp, text, voice } = ensureXpEntry(key);
+  const res = addXP(guild.id, userId, amount, source);
+  const after = { xp: DB.xp[key].xp, text: DB.xp[key].text, voice: DB.xp[key].voice };
+  recordAudit(guild, { actor, kind: 'give', target: userId, delta: after.xp - xp, source, before: { xp, text, voice }, after });
+  await applyLevelChange(guild, userId, res);
+  safeSendLevelUp(guild, { content: `⚙️ Granted **${amount} ${source} XP** to <@${userId}>${res.levelUp ? ` — **Level ${res.newLevel}!**` : ''}` });
+  return res;
+}
+
+// ADD A { xp, text, voice } DELTA TO ONE ENTRY (CLAMPED AT 0), SAME RESULT SHAPE AS addXP
+// day = DAILY BUCKET TO CORRECT (ONLY IF IT STILL EXISTS), null = LEAVE DB.xpDaily ALONE
+function shiftXp(guildId, userId, delta, day = null) {
+  const key = mkey(guildId, userId);
+  const entry = ensureXpEntry(key);
+  const before = { xp: entry.xp, text: entry.text, voice: entry.voice };
+  for (const f of ['xp', 'text', 'voice']) entry[f] = Math.max(0, entry[f] + (delta[f] || 0));
+  storage.putXp(key, entry);
+  const bucket = day && DB.xpDaily[guildId]?.[day]?.[userId];
+  if (bucket) {
+    for (const f of ['xp', 'text', 'voice']) bucket[f] = Math.max(0, bucket[f] + entry[f] - before[f]);
+    storage.putDaily(guildId, day, userId, bucket);
+  }
+  const curve = xpCurve(guildId);
+  const oldLevel = calcLevel(before.xp, curve);
+  const newLevel = calcLevel(entry.xp, curve);
+  return { before: before.xp, after: entry.xp, levelUp: newLevel > oldLevel, oldLevel, newLevel };
+}
+
+async function undoAudit(guild, id, actor) {
+  const entry = auditState(guild.id).entries.find(e => e.id === id);
+  if (!entry) throw new Error(`Operation #${id} isn't in the journal (only the last ${AUDIT_MAX_ENTRIES} are kept).`);
+  if (entry.undoneBy) throw new Error(`Operation #${id} was already undone.`);
+  if (entry.kind === 'season') throw new Error('Season ends are archived, not undoable.');
+  if (entry.kind === 'undo') throw new Error("Undos can't be undone — redo the original operation instead.");
+
+  if (entry.kind === 'give') {
+    const { before, after } = entry;
+    const res = shiftXp(guild.id, entry.target, { xp: before.xp - after.xp, text: before.text - after.text, voice: before.voice - after.voice }, dayKey(entry.at));
+    await applyLevelChange(guild, entry.target, res);
+  } else if (entry.kind === 'reset') {
+    const { lastReset } = auditState(guild.id);
+    if (lastReset?.id !== entry.id) throw new Error('Only the most recent reset can be undone (its snapshot replaced this one).');
+    for (const [key, prev] of Object.entries(lastReset.before)) {
+      const userId = key.slice(guild.id.length + 1);
+      shiftXp(guild.id, userId, prev);
+    }
+    delete auditState(guild.id).lastReset;
+    saveData();
+    await syncAllLevelRoles(guild);
+    await updateCrownRoles(guild);
+  }
+
+  entry.undoneBy = actor;
+  entry.undoneAt = Date.now();
+  return recordAudit(guild, { actor, kind: 'undo', undoOf: entry.id });
+}
+
+// ============================================================================
+// WEEKLY RECAP — TOP 10 OF LAST WEEK + BIGGEST ALL-TIME CLIMBERS (LEVEL-UP CHANNEL)
+// ============================================================================
+function allTimeRanks(guildId) {
+  const ranks = {};
+  rankEntries(guildId, 'xp', 'all').filter(e => e.xp > 0).forEach((e, i) => { ranks[e.userId] = i + 1; });
+  return ranks;
+}
+
+async function postWeeklyRecapIfDue(guild) {
+  if (!getGuildConfig(guild.id).recap.weekly) return;
+  const thisWeek = periodStartKey('week');
+  const state = DB.recaps[guild.id];
+  const ranks = allTimeRanks(guild.id);
+  // FIRST RUN: TAKE A BASELINE, NOTHING TO COMPARE AGAINST YET
+  if (!state) { DB.recaps[guild.id] = { week: thisWeek, ranks }; saveData(); return; }
+  if (state.week >= thisWeek) return;
+
+  const lastWeek = dayKey(Date.parse(thisWeek) - 7 * DAY_MS);
+  const top = [...windowTotals(guild.id, lastWeek, thisWeek).entries()]
+    .filter(([, t]) => t.xp > 0)
+    .sort((a, b) => b[1].xp - a[1].xp)
+    .slice(0, 10);
+  const climbers = Object.entries(ranks)
+    .filter(([uid]) => state.ranks[uid])
+    .map(([uid, rank]) => ({ uid, from: state.ranks[uid], to: rank, gain: state.ranks[uid] - rank }))
+    .filter(c => c.gain > 0)
+    .sort((a, b) => b.gain - a.gain)
+    .slice(0, 5);
+
+  DB.recaps[guild.id] = { week: thisWeek, ranks }; saveData();
+  if (!top.length) return;
+
+  const medal = (i) => i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : `#${i + 1}`;
+  const embed = new EmbedBuilder()
+    .setTitle(`📅 Weekly Recap — ${lastWeek} → ${dayKey(Date.parse(thisWeek) - DAY_MS)}`)
+    .addFields(
+      { name: 'Top 10 this week', value: top.map(([uid, t], i) => `**${medal(i)}** <@${uid}> — **${t.xp} XP** (⌨ ${t.text} / 🎙 ${t.voice})`).join('\n') },
+      { name: 'Biggest climbers (all-time)', value: climbers.map(c => `<@${c.uid}> ⬆ ${c.gain} (#${c.from} → #${c.to})`).join('\n') || 'Nobody moved up. Stable chaos.' },
+    )
+    .setFooter({ text: 'New week, new grind.' })
+    .setTimestamp(new Date());
+  safeSendLevelUp(guild, { embeds: [embed], allowedMentions: { parse: [] } });
+}
+
+function startRecapSweep() {
+  setInterval(async () => {
+    for (const [, guild] of client.guilds.cache) {
+      await postWeeklyRecapIfDue(guild).catch(() => {});
+    }
+  }, 60 * 60 * 1000); // hourly; posts once per week
+}
+
+// ============================================================================
+// LEVEL REWARD ROLES (/LEVELROLES)
+//  - stack:   keep every reward role up to the current level
+//  - replace: keep only the highest reward role reached
+//  - Reconciles both ways: level-downs (/givexp negative, /resetxp) remove rewards
+// ============================================================================
+function rewardRoleIdsFor(guildId, level) {
+  const { mode, rewards } = getGuildConfig(guildId).levelRoles;
+  const reached = rewards.filter(r => r.level <= level).sort((a, b) => a.level - b.level);
+  if (mode === 'replace') return new Set(reached.length ? [reached[reached.length - 1].roleId] : []);
+  return new Set(reached.map(r => r.roleId));
+}
+
+// RETURNS THE ROLES THAT WERE ADDED (FOR LEVEL-UP ANNOUNCEMENTS)
+async function syncLevelRoles(member, level) {
+  return (await reconcileLevelRoles(member, level)).added;
+}
+
+// SAME, BUT REPORTS EVERY ROLE ACTUALLY ADDED / REMOVED (FAILED CALLS ARE NOT COUNTED)
+async function reconcileLevelRoles(member, level) {
+  const added = [];
+  const removed = [];
+  if (!member) return { added, removed };
+  const { rewards } = getGuildConfig(member.guild.id).levelRoles;
+  if (!rewards.length) return { added, removed };
+  const want = rewardRoleIdsFor(member.guild.id, level);
+  for (const { roleId } of rewards) {
+    const role = member.guild.roles.cache.get(roleId);
+    if (!role) continue;
+    const has = member.roles.cache.has(roleId);
+    if (want.has(roleId) && !has) {
+      if (await member.roles.add(role, `Level ${level} reward`).then(() => true, () => false)) added.push(role);
+    } else if (!want.has(roleId) && has) {
+      if (await member.roles.remove(role, `Level reward no longer applies (level ${level})`).then(() => true, () => false)) removed.push(role);
+    }
+  }
+  return { added, removed };
+}
+
+// LEVEL-UP ANNOUNCEMENT FROM THE levelup TEMPLATE (+ UNLOCKED REWARD ROLES)
+function announceLevelUp(guild, member, user, level, rewards = [], fallbackChannel = null) {
+  const fields = rewards.length ? [{ name: 'Unlocked', value: rewards.map(r => `${r}`).join(' ') }] : [];
+  const payload = buildTemplatePayload(getTemplate(guild.id, 'levelup'), { guild, user, member, level }, fields);
+  safeSendLevelUp(guild, payload, fallbackChannel);
+}
+
+// CALLED AFTER ANY XP CHANGE: ONLY TOUCHES ROLES WHEN THE LEVEL ACTUALLY MOVED
+async function applyLevelChange(guild, userId, res) {
+  if (res.newLevel === res.oldLevel) return [];
+  const member = guild.members.cache.get(userId) || await guild.members.fetch(userId).catch(() => null);
+  if (!member) return [];
+  return syncLevelRoles(member, res.newLevel);
+}
+
+// BACKFILL EVERY MEMBER FROM THEIR CURRENT XP
+async function syncAllLevelRoles(guild) {
+  const curve = xpCurve(guild.id);
+  let changed = 0;
+  for (const member of (await guild.members.fetch()).values()) {
+    if (member.user.bot) continue;
+    const { added, removed } = await reconcileLevelRoles(member, calcLevel(DB.xp[mkey(guild.id, member.id)]?.xp || 0, curve));
+    if (added.length || removed.length) changed++;
+  }
+  return changed;
+}
+
 // ============================================================================
 // FEATURE: LEVELING — TEXT (MESSAGECREATE WITH COOLDOWN)
 // ============================================================================
+// ANTI-SPAM: LOWERCASE, NO MENTIONS/URLS/CUSTOM EMOJI, COLLAPSED WHITESPACE
+function normalizeMessage(content) {
+  return content
+    .toLowerCase()
+    .replace(/<a?:\w+:\d+>|<[@#][!&]?\d+>|https?:\/\/\S+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function isEmojiOnly(content) {
+  const rest = content.replace(/<a?:\w+:\d+>|\p{Extended_Pictographic}|\p{Emoji_Modifier}|\p{Regional_Indicator}|[\u200d\ufe0f\u20e3\s]/gu, '');
+  return rest.length === 0 && content.trim().length > 0;
+}
+
+// BIGRAM DICE COEFFICIENT — 1 = IDENTICAL, 0 = NOTHING IN COMMON
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+  const grams = new Map();
+  for (let i = 0; i < a.length - 1; i++) { const g = a.slice(i, i + 2); grams.set(g, (grams.get(g) || 0) + 1); }
+  let shared = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const g = b.slice(i, i + 2);
+    if (grams.get(g) > 0) { grams.set(g, grams.get(g) - 1); shared++; }
+  }
+  return (2 * shared) / (a.length + b.length - 2);
+}
+
+// WHY A MESSAGE EARNS NO XP (null = ELIGIBLE). ALSO REMEMBERS IT FOR DUPLICATE CHECKS.
+function textXpBlocker(message, rules) {
+  const channelIds = [message.channelId, message.channel.parentId].filter(Boolean);
+  if (channelIds.some(id => rules.excludedChannelIds.includes(id))) return 'channel';
+  if (message.member && rules.excludedRoleIds.some(id => message.member.roles.cache.has(id))) return 'role';
+  const content = message.content.trim();
+  if (rules.ignorePrefixes.some(p => content.startsWith(p))) return 'command';
+  if (rules.ignoreEmojiOnly && isEmojiOnly(content)) return 'emoji';
+  const text = normalizeMessage(content);
+  if (text.length < rules.minLength) return 'short';
+
+  const key = mkey(message.guild.id, message.author.id);
+  const recent = recentMessages.get(key)?.texts || [];
+  const duplicate = rules.dedupe && recent.some(prev => similarity(prev, text) >= DUPLICATE_SIMILARITY);
+  recentMessages.set(key, { at: Date.now(), texts: [...recent, text].slice(-RECENT_MESSAGES_KEPT) });
+  return duplicate ? 'duplicate' : null;
+}
+
+// DROP DEDUPE HISTORY FOR USERS WHO WENT QUIET (THE MAP WOULD OTHERWISE HOLD EVERY AUTHOR EVER SEEN)
+function startRecentMessagesSweep() {
+  setInterval(() => {
+    const cutoff = Date.now() - RECENT_MESSAGES_TTL_MS;
+    for (const [key, entry] of recentMessages) if (entry.at < cutoff) recentMessages.delete(key);
+  }, 10 * 60 * 1000);
+}
+
 client.on('messageCreate', async (message) => {
   if (!message.guild || message.author.bot) return;
   const key = mkey(message.guild.id, message.author.id);
   const cdKey = `msg:${key}`;
+  const { xp: rates, text: rules } = getGuildConfig(message.guild.id);
+  if (textXpBlocker(message, rules)) return;
   const last = messageCooldown.get(cdKey) || 0;
-  if (Date.now() - last < MESSAGE_COOLDOWN_MS) return; // COOLDOWN PER USER
+  if (Date.now() - last < rates.messageCooldownMs) return; // COOLDOWN PER USER
   messageCooldown.set(cdKey, Date.now());
 
-  const res = addXP(message.guild.id, message.author.id, MESSAGE_XP, 'text');
-  if (res.levelUp) {
-    const lvl = res.newLevel;
-    const embed = new EmbedBuilder()
-      .setTitle('✨ Level Up!')
-      .setDescription(`${message.author} just hit **level ${lvl}** — keep it weird.`)
-      .setTimestamp(new Date());
-    const lvlCh = getLevelUpChannel(message.guild);
-    safeSendLevelUp(message.guild, { embeds: [embed] }, message.channel);
-  }
+  const amount = rules.randomMax > 0 ? rules.randomMin + Math.floor(Math.random() * (rules.randomMax - rules.randomMin + 1)) : rates.messageXp;
+  const res = addXP(message.guild.id, message.author.id, amount, 'text', { member: message.member, channelId: message.channelId });
+  const rewards = await applyLevelChange(message.guild, message.author.id, res);
+  if (res.levelUp) announceLevelUp(message.guild, message.member ?? null, message.author, res.newLevel, rewards, message.channel);
 });
 
 // ============================================================================
-// FEATURE: LEVELING — VOICE (PER-MINUTE TICKER + BASIC AFK FILTER)
+// FEATURE: LEVELING — VOICE (SESSIONS SEEDED ON READY + PER-MINUTE SETTLE + ANTI-FARM RULES)
 // ============================================================================
-client.on('voiceStateUpdate', (oldS, newS) => {
-  const gid = (newS.guild || oldS.guild).id;
-  if (!voiceActive.has(gid)) voiceActive.set(gid, new Set());
-  const set = voiceActive.get(gid);
+// ANTI-FARM: WHETHER A VOICE STATE EARNS XP (PER-GUILD RULES FROM /CONFIG VOICE)
+// MOVER: THE PRE-CHANGE STATE OF A MEMBER WHO JUST MOVED — COMPANY IS COUNTED AS IT WAS BEFORE THEIR MOVE
+function isVoiceEligible(vs, mover = null) {
+  if (!vs?.channel || !vs.member || vs.selfMute || vs.selfDeaf) return false;
+  const rules = getGuildConfig(vs.guild.id).voice;
+  if (rules.ignoreServerMuted && (vs.serverMute || vs.serverDeaf)) return false;
+  if (rules.ignoreAfk && vs.channelId === vs.guild.afkChannelId) return false;
+  if (rules.excludedChannelIds.includes(vs.channelId)) return false;
+  // COMPANY: OTHER NON-BOT HUMANS IN THE SAME CHANNEL WHO CAN ACTUALLY HEAR
+  let company = vs.channel.members.filter(m => m.id !== vs.id && m.id !== mover?.id && !m.user.bot && !m.voice.deaf).size;
+  if (mover && mover.id !== vs.id && mover.channelId === vs.channelId && !mover.member?.user.bot && !mover.deaf) company++;
+  return company >= rules.minCompany;
+}
+
+function openVoiceSession(guildId, userId, channelId, now = Date.now()) {
+  if (!voiceActive.has(guildId)) voiceActive.set(guildId, new Map());
+  voiceActive.get(guildId).set(userId, { channelId, joinedAt: now, lastTickAt: now });
+}
+
+// BANK THE TIME SINCE THE LAST SETTLE (IF `vs` WAS ELIGIBLE) AND CREDIT EVERY WHOLE MINUTE
+async function settleVoiceSession(guild, userId, vs, mover = null, now = Date.now()) {
+  const session = voiceActive.get(guild.id)?.get(userId);
+  if (!session) return;
+  const elapsed = Math.max(0, now - session.lastTickAt);
+  session.lastTickAt = now;
+  if (!isVoiceEligible(vs, mover)) return;
+
+  const key = mkey(guild.id, userId);
+  const banked = (voiceCarryMs.get(key) || 0) + elapsed;
+  const minutes = Math.floor(banked / 60000);
+  voiceCarryMs.set(key, banked - minutes * 60000);
+  if (!minutes) return;
+
+  const res = addXP(guild.id, userId, getGuildConfig(guild.id).xp.voiceXpPerMin * minutes, 'voice', { member: vs.member, channelId: vs.channelId });
+  const rewards = await applyLevelChange(guild, userId, res);
+  if (res.levelUp) announceLevelUp(guild, vs.member, vs.member.user, res.newLevel, rewards);
+}
+
+// AFTER A RESTART: OPEN SESSIONS FOR EVERYONE ALREADY SITTING IN VOICE
+function seedVoiceSessions(guild) {
+  const now = Date.now();
+  for (const vs of guild.voiceStates.cache.values()) {
+    if (!vs.channelId || vs.member?.user.bot) continue;
+    openVoiceSession(guild.id, vs.id, vs.channelId, now);
+  }
+}
+
+client.on('voiceStateUpdate', async (oldS, newS) => {
+  const guild = newS.guild || oldS.guild;
+  if ((newS.member || oldS.member)?.user.bot) return;
+  const uid = newS.id;
+
+  // THE CHANGE ALSO ALTERS COMPANY FOR EVERYONE IN THE OLD AND NEW CHANNEL — SETTLE THEM AS IT WAS BEFORE
+  for (const channel of new Set([oldS.channel, newS.channel].filter(Boolean))) {
+    for (const m of channel.members.values()) {
+      if (m.id === uid || m.user.bot) continue;
+      await settleVoiceSession(guild, m.id, m.voice, oldS).catch(() => {});
+    }
+  }
+
+  // CLOSE OUT THE TIME SPENT UNDER THE OLD STATE (MUTE/DEAF/MOVE/LEAVE)
+  await settleVoiceSession(guild, uid, oldS);
 
   // LEFT ALL VOICE
   if (!newS.channelId) {
-    set.delete(newS.id);
+    voiceActive.get(guild.id)?.delete(uid);
+    voiceCarryMs.delete(mkey(guild.id, uid));
     return;
   }
-  // JOINED/MOVED VOICE
-  set.add(newS.id);
+  // JOINED/MOVED VOICE (A MUTE TOGGLE KEEPS THE SAME SESSION)
+  const session = voiceActive.get(guild.id)?.get(uid);
+  if (!session) openVoiceSession(guild.id, uid, newS.channelId);
+  else session.channelId = newS.channelId;
 });
 
 function startVoiceTicker() {
-  setInterval(() => {
-    for (const [gid, set] of voiceActive.entries()) {
-      for (const uid of set) {
-        // REQUIRE IN VOICE + NOT SELF-MUTED/DEAFENED
+  let ticking = false; // A SLOW TICK (ROLE EDITS, RATE LIMITS) MUST NOT OVERLAP THE NEXT ONE
+  setInterval(async () => {
+    if (ticking) return;
+    ticking = true;
+    try {
+      for (const [gid, sessions] of voiceActive.entries()) {
         const guild = client.guilds.cache.get(gid);
-        const member = guild?.members.cache.get(uid);
-        const vs = member?.voice;
-        if (!vs?.channel || vs.selfMute || vs.selfDeaf) continue;
-        const res = addXP(gid, uid, VOICE_XP_PER_MIN, 'voice');
-        if (res.levelUp) {
-          const lvl = res.newLevel;
-          safeSendLevelUp(guild, { content: `🎙️ Level Up: ${member} is now **level ${lvl}**.` });
+        if (!guild) continue;
+        for (const uid of [...sessions.keys()]) {
+          // REQUIRE IN VOICE + NOT MUTED/DEAFENED + COMPANY + NOT AFK/EXCLUDED
+          await settleVoiceSession(guild, uid, guild.voiceStates.cache.get(uid)).catch(() => {});
         }
       }
+    } finally {
+      ticking = false;
     }
   }, 60 * 1000);
 }
 
 // ============================================================================
-// FEATURE: SLASH COMMAND HANDLER (PING / SETWELCOME / TEMPROLE / GOODBYE / RANK / LEADERBOARD / TOPTEXT / TOPVOICE)
+// LEADERBOARD RENDERER — SHARED BY /LEADERBOARD, /TOPTEXT, /TOPVOICE (+ PAGE BUTTONS)
+//  - Names come from the guild member cache (no per-user REST fetches)
+// ============================================================================
+const LEADERBOARD_PAGE_SIZE = 10;
+const LEADERBOARDS = {
+  leaderboard: { field: 'xp', title: '🏆 Total Leaderboard', unit: 'XP', empty: 'No leaderboard yet.', footer: 'Grind smart. No spam.' },
+  toptext: { field: 'text', title: '📊 Text Leaderboard', unit: 'text XP', empty: 'No text activity yet.', footer: 'Chat to climb. No spam.' },
+  topvoice: { field: 'voice', title: '🎙️ Voice Leaderboard', unit: 'voice XP', empty: 'No voice activity yet.', footer: "Hop in VC. Don't idle." },
+};
+
+const rankedEntries = (guildId, field, period) => rankEntries(guildId, field, period).filter(e => e.xp > 0);
+
+// 1-BASED POSITION ON A BOARD, OR null IF NOT RANKED
+function rankOf(guildId, field, period, userId) {
+  const i = rankedEntries(guildId, field, period).findIndex(e => e.userId === userId);
+  return i === -1 ? null : i + 1;
+}
+
+function displayNameIn(guild, userId) {
+  const member = guild.members.cache.get(userId);
+  return member?.displayName ?? guild.client.users.cache.get(userId)?.username ?? userId;
+}
+
+// viewerId = WHO THE VIEW IS FOR (▶ HIGHLIGHT) AND WHO MAY REPAGE IT WITH THE BUTTONS
+function renderLeaderboard(guild, board, period, page, viewerId = null) {
+  const def = LEADERBOARDS[board];
+  const entries = rankedEntries(guild.id, def.field, period);
+  const pages = Math.max(1, Math.ceil(entries.length / LEADERBOARD_PAGE_SIZE));
+  page = Math.min(Math.max(0, page || 0), pages - 1);
+
+  const embed = new EmbedBuilder().setTimestamp(new Date());
+  if (!entries.length) {
+    embed.setTitle(`${def.title} — ${PERIOD_LABELS[period]}`).setDescription(def.empty);
+    return { embeds: [embed], components: [] };
+  }
+
+  const curve = xpCurve(guild.id);
+  const offset = page * LEADERBOARD_PAGE_SIZE;
+  const lines = entries.slice(offset, offset + LEADERBOARD_PAGE_SIZE).map((e, i) => {
+    const pos = offset + i;
+    const badge = pos === 0 ? '🥇' : pos === 1 ? '🥈' : pos === 2 ? '🥉' : `#${pos + 1}`;
+    const lvl = board === 'leaderboard' && period === 'all' ? ` (lv ${calcLevel(e.xp, curve)})` : '';
+    const line = `**${badge}** — <@${e.userId}> (${displayNameIn(guild, e.userId)}) — **${e.xp} ${def.unit}**${lvl}`;
+    return e.userId === viewerId ? `▶ ${line}` : line;
+  });
+  const viewerRank = viewerId ? entries.findIndex(e => e.userId === viewerId) + 1 : 0;
+
+  embed
+    .setTitle(`${def.title} — ${PERIOD_LABELS[period]}`)
+    .setDescription(lines.join('\n'))
+    .setFooter({ text: `Page ${page + 1}/${pages} · ${entries.length} ranked${viewerRank ? ` · you: #${viewerRank}` : ''} · ${def.footer}` });
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`lb:${board}:${period}:${page - 1}:${viewerId}`).setLabel('◀ Previous').setStyle(ButtonStyle.Secondary).setDisabled(page === 0),
+    new ButtonBuilder().setCustomId(`lb:${board}:${period}:${page + 1}:${viewerId}`).setLabel('Next ▶').setStyle(ButtonStyle.Secondary).setDisabled(page >= pages - 1),
+    new ButtonBuilder().setCustomId(`lb:${board}:${period}:me:${viewerId}`).setLabel('Jump to me').setStyle(ButtonStyle.Primary),
+  );
+  return { embeds: [embed], components: [row] };
+}
+
+// ============================================================================
+// RANK CARD — PNG RENDERED IN-PROCESS WITH @napi-rs/canvas (NO EXTERNAL IMAGE API)
+//  - Falls back to the plain embed if the canvas module can't load
+//  - Themes: RANK_THEMES (top of file), chosen per user with /rank theme
+// ============================================================================
+let canvasModule; // PROMISE OF THE MODULE OR null (LOADED ONCE)
+function loadCanvas() {
+  canvasModule ||= import('@napi-rs/canvas').catch((err) => {
+    console.warn('⚠️ Rank cards disabled — @napi-rs/canvas failed to load:', err.message);
+    return null;
+  });
+  return canvasModule;
+}
+
+function roundRect(ctx, x, y, w, h, r) {
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + w, y, x + w, y + h, r);
+  ctx.arcTo(x + w, y + h, x, y + h, r);
+  ctx.arcTo(x, y + h, x, y, r);
+  ctx.arcTo(x, y, x + w, y, r);
+  ctx.closePath();
+}
+
+// data: { name, avatarUrl, level, total, levelFloor, next, text, voice, rank, ranked, textCrown, voiceCrown, theme }
+async function renderRankCard(data) {
+  const mod = await loadCanvas();
+  if (!mod) return null;
+  const { createCanvas, loadImage } = mod;
+  const t = RANK_THEMES[data.theme] || RANK_THEMES[DEFAULT_RANK_THEME];
+  const W = 934, H = 282;
+  const canvas = createCanvas(W, H);
+  const ctx = canvas.getContext('2d');
+
+  // BACKGROUND + PANEL
+  ctx.fillStyle = t.bg;
+  ctx.fillRect(0, 0, W, H);
+  ctx.fillStyle = t.panel;
+  roundRect(ctx, 16, 16, W - 32, H - 32, 18);
+  ctx.fill();
+
+  // AVATAR (CIRCLE WITH ACCENT RING; INITIAL IF THE IMAGE CAN'T BE FETCHED)
+  const ax = 48, ay = 51, as = 180;
+  ctx.fillStyle = t.accent;
+  ctx.beginPath(); ctx.arc(ax + as / 2, ay + as / 2, as / 2 + 6, 0, Math.PI * 2); ctx.fill();
+  const avatar = await fetch(data.avatarUrl, { signal: AbortSignal.timeout(5000) }) // A HUNG CDN FALLS BACK TO THE INITIAL
+    .then(r => (r.ok ? r.arrayBuffer() : Promise.reject(new Error(`HTTP ${r.status}`))))
+    .then(buf => loadImage(Buffer.from(buf)))
+    .catch(() => null);
+  ctx.save();
+  ctx.beginPath(); ctx.arc(ax + as / 2, ay + as / 2, as / 2, 0, Math.PI * 2); ctx.clip();
+  if (avatar) ctx.drawImage(avatar, ax, ay, as, as);
+  else {
+    ctx.fillStyle = t.track; ctx.fillRect(ax, ay, as, as);
+    ctx.fillStyle = t.text; ctx.font = 'bold 80px sans-serif'; ctx.textAlign = 'center'; ctx.textBaseline = 'middle';
+    ctx.fillText((data.name[0] || '?').toUpperCase(), ax + as / 2, ay + as / 2);
+  }
+  ctx.restore();
+  ctx.textAlign = 'left'; ctx.textBaseline = 'alphabetic';
+
+  // CROWN PILLS (RIGHT) + NAME (LEFT, TRUNCATED TO THE SPACE LEFT OVER)
+  const left = 264, right = W - 48;
+  ctx.font = 'bold 16px sans-serif';
+  let px = right;
+  for (const [on, label, color] of [[data.voiceCrown, 'YAP LORD', t.accent2], [data.textCrown, 'SPAM LORD', t.accent]]) {
+    if (!on) continue;
+    const w = ctx.measureText(label).width + 24;
+    px -= w;
+    ctx.fillStyle = color; roundRect(ctx, px, 70, w, 30, 15); ctx.fill();
+    ctx.fillStyle = t.panel; ctx.fillText(label, px + 12, 91);
+    px -= 8;
+  }
+  ctx.fillStyle = t.text;
+  ctx.font = 'bold 36px sans-serif';
+  let name = data.name;
+  while (ctx.measureText(name).width > px - left - 16 && name.length > 1) name = name.slice(0, -1);
+  if (name !== data.name) name = name.slice(0, -1) + '…';
+  ctx.fillText(name, left, 96);
+
+  // LEVEL (LEFT) + SERVER RANK (RIGHT)
+  ctx.fillStyle = t.muted; ctx.font = '20px sans-serif';
+  ctx.fillText('LEVEL', left, 148);
+  const lvX = left + ctx.measureText('LEVEL').width + 10;
+  ctx.fillStyle = t.accent; ctx.font = 'bold 40px sans-serif';
+  ctx.fillText(String(data.level), lvX, 148);
+  ctx.textAlign = 'right';
+  const rankText = data.rank ? `#${data.rank}` : '—';
+  ctx.fillStyle = t.text; ctx.font = 'bold 32px sans-serif';
+  ctx.fillText(rankText, right, 148);
+  const rkW = ctx.measureText(rankText).width;
+  ctx.fillStyle = t.muted; ctx.font = '18px sans-serif';
+  ctx.fillText(data.rank ? `RANK OF ${data.ranked}` : 'UNRANKED', right - rkW - 10, 148);
+
+  // PROGRESS TOWARD xpForNext
+  const span = Math.max(1, data.next - data.levelFloor);
+  const frac = Math.min(1, Math.max(0, (data.total - data.levelFloor) / span));
+  const bx = left, by = 168, bw = right - left, bh = 34;
+  ctx.fillStyle = t.track; roundRect(ctx, bx, by, bw, bh, bh / 2); ctx.fill();
+  if (frac > 0) {
+    ctx.fillStyle = t.accent; roundRect(ctx, bx, by, Math.max(bh, bw * frac), bh, bh / 2); ctx.fill();
+  }
+  ctx.fillStyle = t.text; ctx.font = 'bold 18px sans-serif';
+  ctx.fillText(`${data.total.toLocaleString('en-US')} / ${data.next.toLocaleString('en-US')} XP`, right - 14, by + 23);
+
+  // TEXT / VOICE SPLIT
+  const sum = data.text + data.voice;
+  const tw = sum ? bw * (data.text / sum) : bw / 2;
+  ctx.fillStyle = t.accent; roundRect(ctx, bx, 222, Math.max(0, tw), 8, 4); ctx.fill();
+  ctx.fillStyle = t.accent2; roundRect(ctx, bx + tw, 222, Math.max(0, bw - tw), 8, 4); ctx.fill();
+  ctx.font = '16px sans-serif';
+  ctx.textAlign = 'left'; ctx.fillStyle = t.muted;
+  ctx.fillText(`TEXT ${data.text.toLocaleString('en-US')}`, bx, 252);
+  ctx.textAlign = 'right';
+  ctx.fillText(`VOICE ${data.voice.toLocaleString('en-US')}`, right, 252);
+
+  return canvas.encode('png');
+}
+
+// ============================================================================
+// FEATURE: INTERACTION HANDLER (LEADERBOARD BUTTONS + PING / SETWELCOME / TEMPROLE / GOODBYE / RANK / LEADERBOARD / TOPTEXT / TOPVOICE / ADMIN)
 // ============================================================================
+// TIMED + COUNTED FOR /METRICS; FAILURES GO TO THE ERROR REPORTER WITH THE COMMAND AS CONTEXT
 client.on('interactionCreate', async (interaction) => {
+  const command = interaction.isChatInputCommand() ? interaction.commandName : interaction.isButton() ? `button:${interaction.customId.split(':')[0]}` : null;
+  const started = process.hrtime.bigint();
+  try {
+    await handleInteraction(interaction);
+    if (command) incMetric('bot_commands_total', { command, outcome: 'ok' });
+  } catch (err) {
+    if (command) incMetric('bot_commands_total', { command, outcome: 'error' });
+    reportError(err, { source: 'command', command: command ?? `interaction:${interaction.type}`, guildId: interaction.guildId, userId: interaction.user.id });
+    const oops = { content: '💥 Something broke on our side. The bot owner has been notified.', ephemeral: true };
+    if (interaction.isRepliable()) (interaction.deferred || interaction.replied ? interaction.followUp(oops) : interaction.reply(oops)).catch(() => {});
+  } finally {
+    if (command) observeMetric('bot_command_duration_seconds', { command }, Number(process.hrtime.bigint() - started) / 1e9);
+  }
+});
+
+async function handleInteraction(interaction) {
+  // BUTTONS: LEADERBOARD PAGING (lb:<board>:<period>:<page|me>:<ownerId>)
+  //  - ONLY THE USER WHO OPENED THE BOARD REPAGES IT; ANYONE ELSE GETS THEIR OWN EPHEMERAL COPY
+  if (interaction.isButton() && interaction.customId.startsWith('lb:')) {
+    const [, board, period, target, ownerId] = interaction.customId.split(':');
+    if (!LEADERBOARDS[board] || !PERIOD_LABELS[period] || !interaction.guild) return;
+    let page = Number(target);
+    if (target === 'me') {
+      const rank = rankOf(interaction.guildId, LEADERBOARDS[board].field, period, interaction.user.id);
+      if (!rank) {
+        return void interaction.reply({ content: "You're not on this board yet. Go earn some XP.", ephemeral: true });
+      }
+      page = Math.floor((rank - 1) / LEADERBOARD_PAGE_SIZE);
+    }
+    const view = renderLeaderboard(interaction.guild, board, period, page, interaction.user.id);
+    if (ownerId === interaction.user.id) return void interaction.update(view);
+    return void interaction.reply({ ...view, ephemeral: true });
+  }
+
   if (!interaction.isChatInputCommand()) return;
 
   // COMMAND: /PING
@@ -577,27 +2510,65 @@ client.on('interactionCreate', async (interaction) => {
       return void interaction.reply({ content: 'You need **Manage Server** to do that.', ephemeral: true });
     }
 
-    welcomeConfig.set(interaction.guildId, { channelId: channel.id, message });
+    updateGuildConfig(interaction.guildId, { welcome: { channelId: channel.id, message } });
     return void interaction.reply({ content: `✅ Fallback welcome set in <#${channel.id}>. (Arrival channel takes priority)`, ephemeral: true });
   }
 
-  // COMMAND: /TEMPROLE
+  // COMMAND: /TEMPROLE (GRANT / LIST / CANCEL)
   if (interaction.commandName === 'temprole') {
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageRoles)) {
+      return void interaction.reply({ content: 'You need **Manage Roles** to do that.', ephemeral: true });
+    }
+    const guild = interaction.guild;
+    if (!guild) return;
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === 'list') {
+      const user = interaction.options.getUser('user');
+      const pending = Object.values(DB.tempRoles)
+        .filter(t => t.guildId === guild.id && (!user || t.userId === user.id))
+        .sort((a, b) => a.expiresAt - b.expiresAt);
+      if (!pending.length) {
+        return void interaction.reply({ content: 'No pending temporary roles.', ephemeral: true });
+      }
+      const lines = pending.slice(0, 25).map(t =>
+        `<@&${t.roleId}> → <@${t.userId}> — expires <t:${Math.floor(t.expiresAt / 1000)}:R>`);
+      if (pending.length > 25) lines.push(`…and ${pending.length - 25} more.`);
+      const embed = new EmbedBuilder()
+        .setTitle('⏳ Temporary Roles')
+        .setDescription(lines.join('\n'))
+        .setTimestamp(new Date());
+      return void interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
     const user = interaction.options.getUser('user', true);
     const role = interaction.options.getRole('role', true);
-    const durationStr = interaction.options.getString('duration', true);
+    const key = `${guild.id}:${user.id}:${role.id}`;
+
+    if (sub === 'cancel') {
+      if (!DB.tempRoles[key]) {
+        return void interaction.reply({ content: `${user} has no temporary **${role.name}**.`, ephemeral: true });
+      }
+      await interaction.deferReply({ ephemeral: true });
+      const member = await guild.members.fetch(user.id).catch(() => null);
+      const failure = member?.roles.cache.has(role.id) ? await member.roles.remove(role, 'Temp role cancelled').then(() => null, (err) => err) : null;
+      if (failure) {
+        // KEEP THE RECORD, DUE NOW: THE EXPIRY SWEEP RETRIES THE REMOVAL
+        const t = DB.tempRoles[key];
+        if (t) { t.expiresAt = Math.min(t.expiresAt, Date.now()); saveData(); }
+        return void interaction.editReply({ content: `❌ Couldn't remove **${role.name}** from ${user}: ${failure.message}. I'll keep retrying — check my role position / Manage Roles.`, allowedMentions: { parse: [] } });
+      }
+      delete DB.tempRoles[key]; saveData();
+      return void interaction.editReply({ content: `✅ ${member ? `Removed **${role.name}** from ${user}` : `${user} isn't in the server anymore`} and cancelled the timer.`, allowedMentions: { parse: [] } });
+    }
 
+    // GRANT
+    const durationStr = interaction.options.getString('duration', true);
     const durationMs = ms(durationStr);
     if (!durationMs || durationMs < 10000) {
       return void interaction.reply({ content: 'Invalid duration. Try 15m, 2h, 1d (min ~10s).', ephemeral: true });
     }
 
-    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageRoles)) {
-      return void interaction.reply({ content: 'You need **Manage Roles** to do that.', ephemeral: true });
-    }
-
-    const guild = interaction.guild;
-    if (!guild) return;
     const member = await guild.members.fetch(user.id).catch(() => null);
     if (!member) {
       return void interaction.reply({ content: "I can't find that member.", ephemeral: true });
@@ -608,17 +2579,17 @@ client.on('interactionCreate', async (interaction) => {
       return void interaction.reply({ content: 'My highest role must be **above** the target role.', ephemeral: true });
     }
 
-    await member.roles.add(role).catch(() => {});
+    const failure = await member.roles.add(role, `Temp role for ${durationStr}`).then(() => null, (err) => err);
+    if (failure) {
+      return void interaction.reply({ content: `❌ Couldn't give **${role.name}** to ${user}: ${failure.message}. No timer was set.`, ephemeral: true, allowedMentions: { parse: [] } });
+    }
 
-    const key = `${guild.id}:${member.id}:${role.id}`;
-    if (tempRoleTimers.has(key)) clearTimeout(tempRoleTimers.get(key));
-    const timeoutId = setTimeout(async () => {
-      try { await member.roles.remove(role); } catch {}
-      tempRoleTimers.delete(key);
-    }, durationMs);
-    tempRoleTimers.set(key, timeoutId);
+    // PERSIST EXPIRY (REPLACES ANY PENDING GRANT OF THE SAME ROLE)
+    const now = Date.now();
+    DB.tempRoles[key] = { guildId: guild.id, userId: member.id, roleId: role.id, expiresAt: now + durationMs, grantedAt: now, grantedBy: interaction.user.id };
+    saveData();
 
-    return void interaction.reply({ content: `✅ Gave **${role.name}** to ${user} for **${durationStr}**.`, ephemeral: true });
+    return void interaction.reply({ content: `✅ Gave **${role.name}** to ${user} for **${durationStr}** (expires <t:${Math.floor((now + durationMs) / 1000)}:R>).`, ephemeral: true });
   }
 
   // COMMAND: /GOODBYE (TEMPLATE FOR LOGS)
@@ -629,136 +2600,127 @@ client.on('interactionCreate', async (interaction) => {
 
     const message = interaction.options.getString('message');
     if (!message) {
-      goodbyeConfig.delete(interaction.guildId);
+      setTemplate(interaction.guildId, 'goodbye', null);
       return void interaction.reply({ content: '👋 Goodbye template reset to default. (Posted in logs channel)', ephemeral: true });
     }
 
-    goodbyeConfig.set(interaction.guildId, { message });
+    setTemplate(interaction.guildId, 'goodbye', { ...getTemplate(interaction.guildId, 'goodbye'), message });
     return void interaction.reply({ content: '✅ Goodbye template set. (Posted in logs channel)', ephemeral: true });
   }
 
-  // COMMAND: /RANK
+  // COMMAND: /RANK (VIEW = RENDERED CARD, THEME = PER-USER PREFERENCE)
   if (interaction.commandName === 'rank') {
+    if (interaction.options.getSubcommand() === 'theme') {
+      const theme = interaction.options.getString('theme', true);
+      DB.prefs[interaction.user.id] = { ...(DB.prefs[interaction.user.id] || {}), rankTheme: theme };
+      saveData();
+      return void interaction.reply({ content: `🎨 Rank card theme set to **${RANK_THEMES[theme].label}**.`, ephemeral: true });
+    }
+
     const user = interaction.options.getUser('user') || interaction.user;
     const key = mkey(interaction.guildId, user.id);
     const entry = ensureXpEntry(key);
     const total = entry.xp || 0;
     const txt = entry.text || 0;
     const voc = entry.voice || 0;
-    const lvl = calcLevel(total);
-    const next = xpForNext(lvl);
+    const curve = xpCurve(interaction.guildId);
+    const lvl = calcLevel(total, curve);
+    const next = xpForNext(lvl, curve);
     const need = Math.max(0, next - total);
+    const rankLabel = (field) => {
+      const r = rankOf(interaction.guildId, field, 'all', user.id);
+      return r ? `#${r} of ${rankedEntries(interaction.guildId, field, 'all').length}` : 'Unranked';
+    };
+
+    await interaction.deferReply();
+    const member = await interaction.guild.members.fetch(user.id).catch(() => null);
+    const card = await renderRankCard({
+      name: member?.displayName ?? user.username,
+      avatarUrl: (member ?? user).displayAvatarURL({ extension: 'png', size: 256 }),
+      level: lvl,
+      total,
+      levelFloor: totalXpForLevel(lvl, curve),
+      next,
+      text: txt,
+      voice: voc,
+      rank: rankOf(interaction.guildId, 'xp', 'all', user.id),
+      ranked: rankedEntries(interaction.guildId, 'xp', 'all').length,
+      textCrown: !!member?.roles.cache.some(r => r.name === TEXT_CHAMP_ROLE_NAME),
+      voiceCrown: !!member?.roles.cache.some(r => r.name === VOICE_CHAMP_ROLE_NAME),
+      theme: DB.prefs[user.id]?.rankTheme || DEFAULT_RANK_THEME,
+    }).catch((err) => { console.error('Rank card render failed:', err); return null; });
+
     const embed = new EmbedBuilder()
       .setTitle(`📈 Rank — ${user.username}`)
-      .addFields(
+      .setFooter({ text: 'No drama. No cringe. No unsolicited pings.' })
+      .setTimestamp(new Date());
+    const crownLines = Object.entries(CROWNS).map(([crown, { label }]) => {
+      const st = crownStats(interaction.guildId, crown).find(x => x.userId === user.id);
+      return st && `${label} ×${st.times} — longest ${fmtSpan(st.longestMs)}, total ${fmtSpan(st.totalMs)}${st.current ? ' · **reigning**' : ''}`;
+    }).filter(Boolean);
+    if (card) {
+      embed.setImage('attachment://rank.png');
+    } else {
+      embed.addFields(
         { name: 'Level', value: String(lvl), inline: true },
         { name: 'Total XP', value: `${total} / ${next}`, inline: true },
         { name: 'To next', value: `${need} XP`, inline: true },
         { name: 'Text XP', value: String(txt), inline: true },
         { name: 'Voice XP', value: String(voc), inline: true },
-      )
-      .setFooter({ text: 'No drama. No cringe. No unsolicited pings.' })
-      .setTimestamp(new Date());
-    return void interaction.reply({ embeds: [embed] });
-  }
-
-  // COMMAND: /LEADERBOARD (TOTAL) — EMBED + MEDALS
-  if (interaction.commandName === 'leaderboard') {
-    const entries = Object.entries(DB.xp)
-      .filter(([k]) => k.startsWith(interaction.guildId + ':'))
-      .map(([k, v]) => ({ userId: k.split(':')[1], xp: (v?.xp ?? 0) }))
-      .sort((a, b) => b.xp - a.xp)
-      .slice(0, 10);
-
-    if (!entries.length) {
-      const embed = new EmbedBuilder()
-        .setTitle('🏆 Total Leaderboard')
-        .setDescription('No leaderboard yet.')
-        .setTimestamp(new Date());
-      return void interaction.reply({ embeds: [embed] });
+        { name: 'Server rank', value: rankLabel('xp'), inline: true },
+        { name: 'Text rank', value: rankLabel('text'), inline: true },
+        { name: 'Voice rank', value: rankLabel('voice'), inline: true },
+      );
     }
-
-    const lines = await Promise.all(entries.map(async (e, i) => {
-      const user = await interaction.client.users.fetch(e.userId).catch(() => null);
-      const name = user?.tag ?? e.userId;
-      const badge = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : `#${i + 1}`;
-      return `**${badge}** — <@${e.userId}> (${name}) — **${e.xp} XP** (lv ${calcLevel(e.xp)})`;
-    }));
-
-    const embed = new EmbedBuilder()
-      .setTitle('🏆 Total Leaderboard — Top 10')
-      .setDescription(lines.join('\n'))
-      .setFooter({ text: 'Grind smart. No spam.' })
-      .setTimestamp(new Date());
-
-    return void interaction.reply({ embeds: [embed] });
+    if (crownLines.length) embed.addFields({ name: 'Crown history', value: crownLines.join('\n') });
+    const boostLines = activeBoosts(interaction.guildId).filter(b => boostApplies(b, member, b.channelId)).map(describeBoost);
+    const boosterMult = getGuildConfig(interaction.guildId).boosts.boosterMultiplier;
+    if (member?.premiumSince && boosterMult > 1) boostLines.unshift(`💎 **×${boosterMult}** server booster — permanent`);
+    if (boostLines.length) embed.addFields({ name: 'Active XP boosts', value: boostLines.join('\n').slice(0, 1024) });
+    const files = card ? [new AttachmentBuilder(card, { name: 'rank.png' })] : [];
+    return void interaction.editReply({ embeds: [embed], files });
   }
 
-  // COMMAND: /TOPTEXT (TEXT-ONLY) — EMBED + MEDALS
-  if (interaction.commandName === 'toptext') {
-    const entries = Object.entries(DB.xp)
-      .filter(([k]) => k.startsWith(interaction.guildId + ':'))
-      .map(([k, v]) => ({ userId: k.split(':')[1], xp: (v?.text ?? 0) }))
-      .sort((a, b) => b.xp - a.xp)
-      .slice(0, 10);
-
-    if (!entries.length) {
-      const embed = new EmbedBuilder()
-        .setTitle('📊 Text Leaderboard')
-        .setDescription('No text activity yet.')
-        .setTimestamp(new Date());
-      return void interaction.reply({ embeds: [embed] });
-    }
-
-    const lines = await Promise.all(entries.map(async (e, i) => {
-      const user = await interaction.client.users.fetch(e.userId).catch(() => null);
-      const name = user?.tag ?? e.userId;
-      const badge = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : `#${i + 1}`;
-      return `**${badge}** — <@${e.userId}> (${name}) — **${e.xp} text XP**`;
-    }));
-
+  // COMMAND: /HALLOFFAME
+  if (interaction.commandName === 'halloffame') {
+    const only = interaction.options.getString('crown');
+    const gid = interaction.guildId;
     const embed = new EmbedBuilder()
-      .setTitle('📊 Text Leaderboard — Top 10')
-      .setDescription(lines.join('\n'))
-      .setFooter({ text: 'Chat to climb. No spam.' })
+      .setTitle('🏛️ Hall of Fame')
+      .setFooter({ text: 'Reigns count from when the bot first saw the crown change.' })
       .setTimestamp(new Date());
-
-    return void interaction.reply({ embeds: [embed] });
-  }
-
-  // COMMAND: /TOPVOICE (VOICE-ONLY) — EMBED + MEDALS
-  if (interaction.commandName === 'topvoice') {
-    const entries = Object.entries(DB.xp)
-      .filter(([k]) => k.startsWith(interaction.guildId + ':'))
-      .map(([k, v]) => ({ userId: k.split(':')[1], xp: (v?.voice ?? 0) }))
-      .sort((a, b) => b.xp - a.xp)
-      .slice(0, 10);
-
-    if (!entries.length) {
-      const embed = new EmbedBuilder()
-        .setTitle('🎙️ Voice Leaderboard')
-        .setDescription('No voice activity yet.')
-        .setTimestamp(new Date());
-      return void interaction.reply({ embeds: [embed] });
+    for (const crown of only ? [only] : Object.keys(CROWNS)) {
+      const { label } = CROWNS[crown];
+      const reigns = crownLog(gid).filter(r => r.crown === crown);
+      if (!reigns.length) {
+        embed.addFields({ name: label, value: 'No reigns recorded yet.' });
+        continue;
+      }
+      const open = openReign(gid, crown);
+      const stats = crownStats(gid, crown);
+      const longest = [...reigns].sort((a, b) => reignLength(b) - reignLength(a)).slice(0, 5)
+        .map((r, i) => `${i + 1}. <@${r.userId}> — ${fmtSpan(reignLength(r))}${r.until ? '' : ' (ongoing)'}`);
+      const most = [...stats].sort((a, b) => b.times - a.times || b.totalMs - a.totalMs).slice(0, 5)
+        .map((st, i) => `${i + 1}. <@${st.userId}> — ×${st.times} (${fmtSpan(st.totalMs)} total)`);
+      const past = reigns.filter(r => r.until).slice(-5).reverse()
+        .map(r => `<@${r.userId}> — <t:${Math.floor(r.since / 1000)}:d> → <t:${Math.floor(r.until / 1000)}:d>`);
+      embed.addFields(
+        { name: `${label} — current`, value: open ? `<@${open.userId}> since <t:${Math.floor(open.since / 1000)}:R>` : 'Vacant' },
+        { name: 'Longest reigns', value: longest.join('\n'), inline: true },
+        { name: 'Most crowns', value: most.join('\n'), inline: true },
+        { name: 'Past holders', value: past.join('\n') || 'Nobody dethroned yet.' },
+      );
     }
+    return void interaction.reply({ embeds: [embed], allowedMentions: { parse: [] } });
+  }
 
-    const lines = await Promise.all(entries.map(async (e, i) => {
-      const user = await interaction.client.users.fetch(e.userId).catch(() => null);
-      const name = user?.tag ?? e.userId;
-      const badge = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : `#${i + 1}`;
-      return `**${badge}** — <@${e.userId}> (${name}) — **${e.xp} voice XP**`;
-    }));
-
-    const embed = new EmbedBuilder()
-      .setTitle('🎙️ Voice Leaderboard — Top 10')
-      .setDescription(lines.join('\n'))
-      .setFooter({ text: "Hop in VC. Don't idle." })
-      .setTimestamp(new Date());
-
-    return void interaction.reply({ embeds: [embed] });
+  // COMMAND: /LEADERBOARD (TOTAL) / TOPTEXT / TOPVOICE — SHARED PAGINATED RENDERER
+  if (LEADERBOARDS[interaction.commandName]) {
+    const period = interaction.options.getString('period') || 'all';
+    return void interaction.reply(renderLeaderboard(interaction.guild, interaction.commandName, period, 0, interaction.user.id));
   }
 
-    // COMMAND: /GIVEXP (ADMIN)
+  // COMMAND: /GIVEXP (ADMIN)
   if (interaction.commandName === 'givexp') {
     if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
       return void interaction.reply({ content: 'You need **Manage Server**.', ephemeral: true });
@@ -766,11 +2728,10 @@ client.on('interactionCreate', async (interaction) => {
     const user = interaction.options.getUser('user', true);
     const amount = interaction.options.getInteger('amount', true);
     const source = interaction.options.getString('source') || 'text';
-    const res = addXP(interaction.guildId, user.id, amount, source);
-
-    const payload = { content: `⚙️ Granted **${amount} ${source} XP** to <@${user.id}>${res.levelUp ? ` — **Level ${res.newLevel}!**` : ''}` };
-    safeSendLevelUp(interaction.guild, payload);
-    return void interaction.reply({ content: 'Done.', ephemeral: true });
+    if (amount === 0) return void interaction.reply({ content: 'Amount must not be 0.', ephemeral: true });
+    await interaction.deferReply({ ephemeral: true }); // MEMBER FETCH + REWARD ROLE SYNC CAN OUTLAST THE 3s REPLY WINDOW
+    await grantXp(interaction.guild, interaction.user.id, user.id, amount, source);
+    return void interaction.editReply({ content: 'Done.' });
   }
   // COMMAND: /RESETXP (ADMIN)
   if (interaction.commandName === 'resetxp') {
@@ -782,27 +2743,592 @@ client.on('interactionCreate', async (interaction) => {
       return void interaction.reply({ content: 'Reset aborted (confirm=false).', ephemeral: true });
     }
 
-    const gid = interaction.guildId;
-    let affected = 0;
-    for (const [k, v] of Object.entries(DB.xp)) {
-      if (k.startsWith(gid + ':')) {
-        v.xp = 0; v.text = 0; v.voice = 0; DB.xp[k] = v; affected++;
-      }
-    }
-    saveData();
-
-    // Remove crowns from everyone for a clean restart
+    await interaction.deferReply({ ephemeral: true });
     const guild = interaction.guild;
-    const { textRole, voiceRole } = await ensureCrownRoles(guild);
-    const members = await guild.members.fetch();
-    for (const m of members.values()) {
-      if (textRole && m.roles.cache.has(textRole.id)) { try { await m.roles.remove(textRole, 'XP reset'); } catch {} }
-      if (voiceRole && m.roles.cache.has(voiceRole.id)) { try { await m.roles.remove(voiceRole, 'XP reset'); } catch {} }
-      await setNickRoleBadge(m);
-    }
+    const { affected, previous } = await resetGuildXp(guild, 'XP reset');
+    const op = recordAudit(guild, { actor: interaction.user.id, kind: 'reset', delta: affected, snapshot: previous });
 
     safeSendLevelUp(guild, { content: `🧹 XP reset complete — all members set to **0** (text + voice). Crowns cleared. Good luck, have fun.` });
-    return void interaction.reply({ content: `✅ Reset done. ${affected} entries zeroed.`, ephemeral: true });
+    return void interaction.editReply({ content: `✅ Reset done. ${affected} entries zeroed. Undo with \`/xp undo id:${op.id}\`.` });
+  }
+  // COMMAND: /XPBOOST (START / LIST / STOP / BOOSTER)
+  if (interaction.commandName === 'xpboost') {
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      return void interaction.reply({ content: 'You need **Manage Server** to do that.', ephemeral: true });
+    }
+    const sub = interaction.options.getSubcommand();
+    const guild = interaction.guild;
+    const boosts = (DB.boosts[guild.id] ||= []);
+
+    if (sub === 'list') {
+      const active = activeBoosts(guild.id);
+      const boosterMult = getGuildConfig(guild.id).boosts.boosterMultiplier;
+      const embed = new EmbedBuilder()
+        .setTitle('🚀 XP Boosts')
+        .setDescription(active.map(describeBoost).join('\n') || 'No active boosts.')
+        .setFooter({ text: `Server boosters: ${boosterMult > 1 ? `×${boosterMult}` : 'off'} · stacked boosts cap at ×${MAX_XP_MULTIPLIER}` });
+      return void interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    if (sub === 'stop') {
+      const id = interaction.options.getInteger('id', true);
+      const boost = boosts.find(b => b.id === id);
+      if (!boost) return void interaction.reply({ content: `No boost #${id}.`, ephemeral: true });
+      boost.expiresAt = Date.now();
+      expireBoosts();
+      return void interaction.reply({ content: `✅ Boost #${id} stopped.`, ephemeral: true });
+    }
+
+    if (sub === 'booster') {
+      const multiplier = interaction.options.getNumber('multiplier', true);
+      updateGuildConfig(guild.id, { boosts: { boosterMultiplier: multiplier } });
+      return void interaction.reply({ content: `✅ Server boosters now earn ${multiplier > 1 ? `**×${multiplier}** XP` : 'normal XP'}.`, ephemeral: true });
+    }
+
+    // START
+    const multiplier = interaction.options.getNumber('multiplier', true);
+    const durationMs = ms(interaction.options.getString('duration', true));
+    if (!durationMs || durationMs < 60000) {
+      return void interaction.reply({ content: 'Invalid duration. Try 2h, 48h, 3d (min 1m).', ephemeral: true });
+    }
+    const channel = interaction.options.getChannel('channel');
+    const role = interaction.options.getRole('role');
+    const now = Date.now();
+    DB.boostSeq[guild.id] ??= boosts.reduce((max, b) => Math.max(max, b.id), 0); // FIRST BOOST SINCE THE SEQUENCE EXISTED
+    const boost = {
+      id: ++DB.boostSeq[guild.id],
+      multiplier,
+      channelId: channel?.id ?? null,
+      roleId: role?.id ?? null,
+      startedAt: now,
+      expiresAt: now + durationMs,
+      createdBy: interaction.user.id,
+    };
+    boosts.push(boost);
+    saveData();
+    safeSendLevelUp(guild, { content: `🚀 XP boost live: ${describeBoost(boost)}`, allowedMentions: { parse: [] } });
+    return void interaction.reply({ content: `✅ Started ${describeBoost(boost)}`, ephemeral: true });
+  }
+  // COMMAND: /ERRORS (BOT OWNER)
+  if (interaction.commandName === 'errors') {
+    if (!ownerIds.has(interaction.user.id)) {
+      return void interaction.reply({ content: 'Only the bot owner can do that.', ephemeral: true });
+    }
+    const id = interaction.options.getInteger('id');
+    if (id !== null) {
+      const e = errorBuffer.find(x => x.id === id);
+      if (!e) return void interaction.reply({ content: `Error #${id} is no longer in the buffer (last ${ERROR_BUFFER_SIZE} kept).`, ephemeral: true });
+      const embed = new EmbedBuilder()
+        .setTitle(`💥 #${e.id} ${e.name}: ${e.message}`.slice(0, 256))
+        .setDescription(`\`\`\`\n${(e.stack || e.message).slice(0, 3900)}\n\`\`\``)
+        .addFields(
+          { name: 'Last seen in', value: describeErrorContext(e.context).slice(0, 1024) || 'unknown' },
+          { name: 'Count', value: String(e.count), inline: true },
+          { name: 'First / last', value: `<t:${Math.floor(e.firstAt / 1000)}:R> / <t:${Math.floor(e.lastAt / 1000)}:R>`, inline: true },
+        );
+      return void interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+    const lines = [...errorBuffer].reverse().slice(0, 15).map(e =>
+      `\`#${e.id}\` **${escapeMarkdown(`${e.name}: ${e.message}`.slice(0, 90))}** ×${e.count} — ${escapeMarkdown(describeErrorContext(e.context).slice(0, 80))} · <t:${Math.floor(e.lastAt / 1000)}:R>`);
+    const embed = new EmbedBuilder()
+      .setTitle('💥 Recent errors')
+      .setDescription(lines.join('\n').slice(0, 4096) || 'No errors since start. 🎉')
+      .setFooter({ text: `${errorBuffer.length} distinct in buffer · /errors id:<n> for the stack` });
+    return void interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+  // COMMAND: /APIKEY (CREATE / LIST / REVOKE)
+  if (interaction.commandName === 'apikey') {
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      return void interaction.reply({ content: 'You need **Manage Server** to do that.', ephemeral: true });
+    }
+    const sub = interaction.options.getSubcommand();
+    const keys = (DB.apiKeys[interaction.guildId] ||= []);
+
+    if (sub === 'create') {
+      const label = interaction.options.getString('label', true);
+      const write = interaction.options.getBoolean('write') ?? false;
+      const { key, record } = createApiKey(interaction.guildId, { label, write, createdBy: interaction.user.id });
+      getLogChannel(interaction.guild)?.send({ content: `🔑 <@${interaction.user.id}> created API key #${record.id} "${escapeMarkdown(label)}" (${record.scopes.join(' + ')}).`, allowedMentions: { parse: [] } }).catch(() => {});
+      return void interaction.reply({ content: `🔑 API key #${record.id} (${record.scopes.join(' + ')}) — copy it now, it won't be shown again:\n\`${key}\`\nUse it as \`Authorization: Bearer <key>\` on \`/api/v1/guilds/${interaction.guildId}/…\``, ephemeral: true });
+    }
+
+    if (sub === 'list') {
+      const lines = keys.map(k => `\`#${k.id}\` **${escapeMarkdown(k.label)}** — ${k.scopes.join(' + ')} · by <@${k.createdBy}> · last used ${k.lastUsedAt ? `<t:${Math.floor(k.lastUsedAt / 1000)}:R>` : 'never'}`);
+      return void interaction.reply({ content: lines.join('\n') || 'No API keys.', ephemeral: true, allowedMentions: { parse: [] } });
+    }
+
+    if (sub === 'revoke') {
+      const id = interaction.options.getInteger('id', true);
+      const i = keys.findIndex(k => k.id === id);
+      if (i === -1) return void interaction.reply({ content: `No API key #${id}.`, ephemeral: true });
+      const [removed] = keys.splice(i, 1);
+      saveData();
+      getLogChannel(interaction.guild)?.send({ content: `🔑 <@${interaction.user.id}> revoked API key #${id} "${escapeMarkdown(removed.label)}".`, allowedMentions: { parse: [] } }).catch(() => {});
+      return void interaction.reply({ content: `✅ API key #${id} revoked.`, ephemeral: true });
+    }
+  }
+  // COMMAND: /XP (AUDIT / UNDO)
+  if (interaction.commandName === 'xp') {
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      return void interaction.reply({ content: 'You need **Manage Server** to do that.', ephemeral: true });
+    }
+    const sub = interaction.options.getSubcommand();
+    const guild = interaction.guild;
+
+    if (sub === 'audit') {
+      const user = interaction.options.getUser('user');
+      const limit = interaction.options.getInteger('limit') || 15;
+      const entries = auditState(guild.id).entries
+        .filter(e => !user || e.actor === user.id || e.target === user.id)
+        .slice(-limit)
+        .reverse();
+      const embed = new EmbedBuilder()
+        .setTitle('🧾 XP Audit')
+        .setDescription(entries.map(e => `${describeAudit(e)} — <t:${Math.floor(e.at / 1000)}:R>`).join('\n') || 'No admin XP operations recorded.')
+        .setFooter({ text: 'Revert one with /xp undo id:<n>' });
+      return void interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    if (sub === 'undo') {
+      await interaction.deferReply({ ephemeral: true });
+      const id = interaction.options.getInteger('id', true);
+      try {
+        const op = await undoAudit(guild, id, interaction.user.id);
+        return void interaction.editReply({ content: `✅ Operation #${id} undone (journaled as #${op.id}).` });
+      } catch (e) {
+        return void interaction.editReply({ content: `❌ ${e.message}` });
+      }
+    }
+  }
+  // COMMAND: /LEVELS (PREVIEW / CURVE / RATES / RESET)
+  if (interaction.commandName === 'levels') {
+    const sub = interaction.options.getSubcommand();
+    const gid = interaction.guildId;
+
+    if (sub === 'preview') {
+      const { curve, xp } = getGuildConfig(gid);
+      const rows = [];
+      for (let lvl = 1; lvl <= 20; lvl++) {
+        const total = totalXpForLevel(lvl, curve);
+        const msgs = xp.messageXp > 0 ? Math.ceil(total / xp.messageXp).toLocaleString('en-US') : '∞';
+        rows.push(`${String(lvl).padStart(2)} │ ${xpNeededForLevel(lvl, curve).toLocaleString('en-US').padStart(13)} │ ${total.toLocaleString('en-US').padStart(14)} │ ${msgs}`);
+      }
+      const embed = new EmbedBuilder()
+        .setTitle('📐 Level Thresholds — 1 to 20')
+        .setDescription(`Curve: **${describeCurve(curve)}**\n\`\`\`\nLv │ XP this level │ Total XP       │ Msgs\n${rows.join('\n')}\n\`\`\``)
+        .setFooter({ text: `Msgs = messages at ${xp.messageXp} XP each, ignoring cooldown and voice.` })
+        .setTimestamp(new Date());
+      return void interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      return void interaction.reply({ content: 'You need **Manage Server** to do that.', ephemeral: true });
+    }
+
+    if (sub === 'curve') {
+      const stored = DB.guilds[gid]?.curve || {};
+      const curve = { ...stored, type: interaction.options.getString('type', true) };
+      for (const k of ['base', 'growth', 'step', 'a', 'b', 'c']) {
+        const v = interaction.options.getNumber(k);
+        if (v !== null) curve[k] = v;
+      }
+      const conf = updateGuildConfig(gid, { curve });
+      return void interaction.reply({ content: `✅ Curve set to **${describeCurve(conf.curve)}**. Raw XP is unchanged; levels are recomputed from it. Use \`/levels preview\` to check.`, ephemeral: true });
+    }
+
+    if (sub === 'rates') {
+      const xp = { ...(DB.guilds[gid]?.xp || {}) };
+      const messageXp = interaction.options.getInteger('message_xp');
+      const voiceXp = interaction.options.getInteger('voice_xp');
+      const cooldown = interaction.options.getString('cooldown');
+      if (messageXp !== null) xp.messageXp = messageXp;
+      if (voiceXp !== null) xp.voiceXpPerMin = voiceXp;
+      if (cooldown !== null) {
+        const cdMs = ms(cooldown);
+        if (cdMs === undefined || cdMs < 0) {
+          return void interaction.reply({ content: 'Invalid cooldown. Try 30s, 1m, 2m.', ephemeral: true });
+        }
+        xp.messageCooldownMs = cdMs;
+      }
+      const conf = updateGuildConfig(gid, { xp });
+      return void interaction.reply({ content: `✅ Rates: **${conf.xp.messageXp} XP**/message (cooldown ${ms(conf.xp.messageCooldownMs)}), **${conf.xp.voiceXpPerMin} XP**/voice minute.`, ephemeral: true });
+    }
+
+    if (sub === 'reset') {
+      updateGuildConfig(gid, { curve: undefined, xp: undefined });
+      return void interaction.reply({ content: '✅ Curve and rates restored to defaults.', ephemeral: true });
+    }
+  }
+
+  // COMMAND: /LEVELROLES (ADMIN)
+  if (interaction.commandName === 'levelroles') {
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      return void interaction.reply({ content: 'You need **Manage Server** to do that.', ephemeral: true });
+    }
+    const sub = interaction.options.getSubcommand();
+    const guild = interaction.guild;
+    const levelRoles = getGuildConfig(guild.id).levelRoles;
+
+    if (sub === 'add') {
+      const level = interaction.options.getInteger('level', true);
+      const role = interaction.options.getRole('role', true);
+      if (role.managed || role.id === guild.id) {
+        return void interaction.reply({ content: "That role can't be assigned by bots.", ephemeral: true });
+      }
+      const botMember = await guild.members.fetchMe();
+      if (botMember.roles.highest.comparePositionTo(role) <= 0) {
+        return void interaction.reply({ content: 'My highest role must be **above** the reward role.', ephemeral: true });
+      }
+      const rewards = levelRoles.rewards.filter(r => r.roleId !== role.id);
+      rewards.push({ level, roleId: role.id });
+      rewards.sort((a, b) => a.level - b.level);
+      updateGuildConfig(guild.id, { levelRoles: { ...levelRoles, rewards } });
+      return void interaction.reply({ content: `✅ ${role} is now granted at **level ${level}**. Run \`/levelroles sync\` to backfill existing members.`, ephemeral: true, allowedMentions: { roles: [] } });
+    }
+
+    if (sub === 'remove') {
+      const role = interaction.options.getRole('role', true);
+      const rewards = levelRoles.rewards.filter(r => r.roleId !== role.id);
+      if (rewards.length === levelRoles.rewards.length) {
+        return void interaction.reply({ content: `${role} is not a reward role.`, ephemeral: true, allowedMentions: { roles: [] } });
+      }
+      updateGuildConfig(guild.id, { levelRoles: { ...levelRoles, rewards } });
+      return void interaction.reply({ content: `✅ ${role} is no longer a level reward.`, ephemeral: true, allowedMentions: { roles: [] } });
+    }
+
+    if (sub === 'list') {
+      const lines = levelRoles.rewards.map(r => `Level **${r.level}** → <@&${r.roleId}>`);
+      const embed = new EmbedBuilder()
+        .setTitle(`🎁 Level Rewards (${levelRoles.mode})`)
+        .setDescription(lines.join('\n') || 'No reward roles yet. Add one with `/levelroles add`.')
+        .setTimestamp(new Date());
+      return void interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    if (sub === 'mode') {
+      const mode = interaction.options.getString('mode', true);
+      updateGuildConfig(guild.id, { levelRoles: { ...levelRoles, mode } });
+      return void interaction.reply({ content: `✅ Reward mode set to **${mode}**. Run \`/levelroles sync\` to apply it to everyone.`, ephemeral: true });
+    }
+
+    if (sub === 'sync') {
+      await interaction.deferReply({ ephemeral: true });
+      const changed = await syncAllLevelRoles(guild);
+      return void interaction.editReply({ content: `✅ Reward roles synced — ${changed} member(s) updated.` });
+    }
+  }
+
+  // COMMAND: /NEWBIE (STATUS / PROMOTE / EXTEND / CONFIG)
+  if (interaction.commandName === 'newbie') {
+    const sub = interaction.options.getSubcommand();
+    const guild = interaction.guild;
+
+    if (sub === 'status') {
+      const user = interaction.options.getUser('user') || interaction.user;
+      const member = await guild.members.fetch(user.id).catch(() => null);
+      const meta = DB.members[mkey(guild.id, user.id)];
+      const isNewbie = member?.roles.cache.some(r => r.name === NEWBIE_ROLE_NAME);
+      if (!member || !meta?.newbieSince || !isNewbie) {
+        return void interaction.reply({ content: `${user} is not in the newbie pipeline.`, ephemeral: true, allowedMentions: { parse: [] } });
+      }
+      const { checks, due } = newbieProgress(guild, member, meta);
+      const embed = new EmbedBuilder()
+        .setTitle(`🐣 Newbie status — ${member.displayName}`)
+        .setDescription(checks.map(c => `${c.ok ? '✅' : '⬜'} **${c.label}** — ${c.detail}`).join('\n'))
+        .setFooter({ text: due ? 'All gates passed — promotion on the next sweep.' : `Newbie since ${new Date(meta.newbieSince).toISOString().slice(0, 10)}` })
+        .setTimestamp(new Date());
+      return void interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    const needed = sub === 'config' ? PermissionFlagsBits.ManageGuild : PermissionFlagsBits.ManageRoles;
+    if (!interaction.memberPermissions?.has(needed)) {
+      return void interaction.reply({ content: `You need **${sub === 'config' ? 'Manage Server' : 'Manage Roles'}** to do that.`, ephemeral: true });
+    }
+
+    if (sub === 'promote') {
+      const user = interaction.options.getUser('user', true);
+      const member = await guild.members.fetch(user.id).catch(() => null);
+      if (!member) return void interaction.reply({ content: "I can't find that member.", ephemeral: true });
+      if (!member.roles.cache.some(r => r.name === NEWBIE_ROLE_NAME)) {
+        return void interaction.reply({ content: `${user} is not a newbie.`, ephemeral: true, allowedMentions: { parse: [] } });
+      }
+      await interaction.deferReply({ ephemeral: true }); // ROLE + NICKNAME EDITS CAN OUTLAST THE 3s REPLY WINDOW
+      await promoteNewbie(guild, member, `promoted early by ${interaction.user.username}`);
+      return void interaction.editReply({ content: `✅ Promoted ${user} to **${NPC_ROLE_NAME}**.`, allowedMentions: { parse: [] } });
+    }
+
+    if (sub === 'extend') {
+      const user = interaction.options.getUser('user', true);
+      const extraMs = ms(interaction.options.getString('duration', true));
+      if (!extraMs || extraMs <= 0) {
+        return void interaction.reply({ content: 'Invalid duration. Try 3d, 1w, 12h.', ephemeral: true });
+      }
+      const key = mkey(guild.id, user.id);
+      const meta = DB.members[key];
+      if (!meta?.newbieSince) {
+        return void interaction.reply({ content: `${user} is not in the newbie pipeline.`, ephemeral: true, allowedMentions: { parse: [] } });
+      }
+      meta.newbieExtraMs = (meta.newbieExtraMs || 0) + extraMs;
+      saveData();
+      const until = meta.newbieSince + getGuildConfig(guild.id).newbie.minDays * DAY_MS + meta.newbieExtraMs;
+      return void interaction.reply({ content: `✅ Extended ${user}'s newbie period by **${ms(extraMs, { long: true })}** (eligible <t:${Math.floor(until / 1000)}:R>).`, ephemeral: true });
+    }
+
+    if (sub === 'config') {
+      const newbie = { ...getGuildConfig(guild.id).newbie };
+      const minDays = interaction.options.getNumber('min_days');
+      const minLevel = interaction.options.getInteger('min_level');
+      const minXp = interaction.options.getInteger('min_xp');
+      const rules = interaction.options.getString('rules');
+      const link = interaction.options.getString('rules_message');
+      const emoji = interaction.options.getString('rules_emoji');
+      if (minDays !== null) newbie.minDays = minDays;
+      if (minLevel !== null) newbie.minLevel = minLevel;
+      if (minXp !== null) newbie.minXp = minXp;
+      if (rules !== null) newbie.rules = rules;
+      if (emoji !== null) newbie.rulesEmoji = emoji.trim() || null;
+      if (link !== null) {
+        // https://discord.com/channels/<guild>/<channel>/<message>
+        const m = link.match(/channels\/(\d+)\/(\d+)\/(\d+)/);
+        if (!m || m[1] !== guild.id) {
+          return void interaction.reply({ content: 'That is not a message link from this server.', ephemeral: true });
+        }
+        newbie.rulesChannelId = m[2];
+        newbie.rulesMessageId = m[3];
+      }
+      if (newbie.rules === 'react' && !newbie.rulesMessageId) {
+        return void interaction.reply({ content: 'The react gate needs `rules_message` (a message link).', ephemeral: true });
+      }
+      updateGuildConfig(guild.id, { newbie });
+      return void interaction.reply({ content: `✅ Newbie pipeline updated.\n${describeNewbieRules(newbie)}`, ephemeral: true });
+    }
+  }
+
+  // COMMAND: /WELCOME (TEMPLATES — SET / EMBED / TEST / RESET)
+  if (interaction.commandName === 'welcome') {
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      return void interaction.reply({ content: 'You need **Manage Server** to do that.', ephemeral: true });
+    }
+    const sub = interaction.options.getSubcommand();
+    const kind = interaction.options.getString('kind', true);
+    const gid = interaction.guildId;
+
+    if (sub === 'set') {
+      setTemplate(gid, kind, { ...getTemplate(gid, kind), message: interaction.options.getString('message', true) });
+      return void interaction.reply({ content: `✅ **${kind}** template saved. Placeholders: ${TEMPLATE_PLACEHOLDERS}. Preview it with \`/welcome test kind:${kind}\`.`, ephemeral: true });
+    }
+
+    if (sub === 'embed') {
+      const tpl = { ...getTemplate(gid, kind) };
+      if (!interaction.options.getBoolean('enabled', true)) {
+        tpl.embed = null;
+      } else {
+        const embed = { title: null, color: null, thumbnail: null, ...(tpl.embed || {}) };
+        const title = interaction.options.getString('title');
+        const color = interaction.options.getString('color');
+        const thumbnail = interaction.options.getString('thumbnail');
+        if (title !== null) embed.title = title || null;
+        if (color !== null) {
+          if (!/^#?[0-9a-f]{6}$/i.test(color.trim())) {
+            return void interaction.reply({ content: 'Color must be a hex value like `#8b5cf6`.', ephemeral: true });
+          }
+          embed.color = parseInt(color.trim().replace('#', ''), 16);
+        }
+        if (thumbnail !== null) {
+          const t = thumbnail.trim();
+          if (!['avatar', 'server', 'none'].includes(t) && !/^https:\/\/\S+$/.test(t)) {
+            return void interaction.reply({ content: 'Thumbnail must be `avatar`, `server`, `none` or an https:// URL.', ephemeral: true });
+          }
+          embed.thumbnail = t === 'none' ? null : t;
+        }
+        tpl.embed = embed;
+      }
+      setTemplate(gid, kind, tpl);
+      return void interaction.reply({ content: `✅ **${kind}** will be sent ${tpl.embed ? 'as an embed' : 'as plain text'}.`, ephemeral: true });
+    }
+
+    if (sub === 'test') {
+      const user = interaction.options.getUser('user') || interaction.user;
+      const member = await interaction.guild.members.fetch(user.id).catch(() => null);
+      const xp = DB.xp[mkey(gid, user.id)]?.xp || 0;
+      const payload = buildTemplatePayload(getTemplate(gid, kind), {
+        guild: interaction.guild, user, member, level: calcLevel(xp, xpCurve(gid)), inviter: interaction.user,
+      });
+      // PREVIEW NEVER PINGS
+      return void interaction.reply({ ...payload, allowedMentions: { parse: [] }, ephemeral: true });
+    }
+
+    if (sub === 'reset') {
+      setTemplate(gid, kind, null);
+      return void interaction.reply({ content: `✅ **${kind}** template restored to the default.`, ephemeral: true });
+    }
+  }
+
+  // COMMAND: /SEASON (END / HISTORY / CONFIG)
+  if (interaction.commandName === 'season') {
+    const sub = interaction.options.getSubcommand();
+    const guild = interaction.guild;
+    const state = seasonState(guild.id);
+
+    if (sub === 'history') {
+      const number = interaction.options.getInteger('number');
+      if (number === null) {
+        const lines = [...state.archive].reverse().slice(0, 20).map(r =>
+          `**Season ${r.number}** — ${seasonDate(r.startedAt)} → ${seasonDate(r.endedAt)} — ${r.champions.xp ? `🏆 <@${r.champions.xp}>` : 'no champion'}`);
+        const embed = new EmbedBuilder()
+          .setTitle('📜 Season History')
+          .setDescription(lines.join('\n') || 'No finished seasons yet.')
+          .setFooter({ text: state.startedAt ? `Season ${state.number} in progress since ${new Date(state.startedAt).toISOString().slice(0, 10)}` : 'Seasons have not started on this server' })
+          .setTimestamp(new Date());
+        return void interaction.reply({ embeds: [embed], allowedMentions: { parse: [] } });
+      }
+      const r = state.archive.find(x => x.number === number);
+      if (!r) return void interaction.reply({ content: `Season ${number} isn't in the archive.`, ephemeral: true });
+      const medal = (i) => i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : `#${i + 1}`;
+      const embed = new EmbedBuilder()
+        .setTitle(`📜 Season ${r.number} — Final Standings`)
+        .setDescription(r.standings.slice(0, 10).map((e, i) => `**${medal(i)}** <@${e.userId}> — **${e.xp} XP** (⌨ ${e.text} / 🎙 ${e.voice})`).join('\n') || 'Nobody scored.')
+        .addFields(
+          { name: 'Ran', value: `${seasonDate(r.startedAt)} → ${seasonDate(r.endedAt)}`, inline: true },
+          { name: 'Players', value: String(r.standings.length), inline: true },
+          { name: 'Champion role', value: r.roleId ? `<@&${r.roleId}>` : '—', inline: true },
+        )
+        .setTimestamp(new Date());
+      return void interaction.reply({ embeds: [embed], allowedMentions: { parse: [] } });
+    }
+
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      return void interaction.reply({ content: 'You need **Manage Server** to do that.', ephemeral: true });
+    }
+
+    if (sub === 'end') {
+      if (!interaction.options.getBoolean('confirm', true)) {
+        return void interaction.reply({ content: 'Season end aborted (confirm=false).', ephemeral: true });
+      }
+      await interaction.deferReply({ ephemeral: true });
+      const record = await endSeason(guild, interaction.user.id);
+      return void interaction.editReply({ content: `✅ Season ${record.number} archived (${record.standings.length} players). Season ${record.number + 1} has started.` });
+    }
+
+    if (sub === 'config') {
+      const seasons = { ...getGuildConfig(guild.id).seasons };
+      const length = interaction.options.getString('length');
+      const championRoles = interaction.options.getBoolean('champion_roles');
+      if (length !== null) seasons.length = length;
+      if (championRoles !== null) seasons.championRoles = championRoles;
+      updateGuildConfig(guild.id, { seasons });
+      if (seasons.length !== 'off') openSeasonState(guild.id);
+      return void interaction.reply({ content: `✅ Seasons updated.\n${describeSeasons(guild.id)}`, ephemeral: true });
+    }
+  }
+
+  // COMMAND: /CONFIG (ADMIN)
+  if (interaction.commandName === 'config') {
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      return void interaction.reply({ content: 'You need **Manage Server** to do that.', ephemeral: true });
+    }
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === 'show') {
+      const embed = new EmbedBuilder()
+        .setTitle(`⚙️ Settings — ${interaction.guild.name}`)
+        .addFields(describeGuildConfig(interaction.guild))
+        .setTimestamp(new Date());
+      return void interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    if (sub === 'channels') {
+      const channels = { ...getGuildConfig(interaction.guildId).channels };
+      const clear = interaction.options.getString('clear');
+      for (const role of Object.keys(CHANNEL_ROLES)) {
+        if (clear === role || clear === 'all') channels[role] = null;
+        const ch = interaction.options.getChannel(role);
+        if (ch) channels[role] = ch.id;
+      }
+      updateGuildConfig(interaction.guildId, { channels });
+      for (const role of Object.keys(CHANNEL_ROLES)) unboundWarned.delete(`${interaction.guildId}:${role}`);
+      const lines = Object.entries(CHANNEL_ROLES).map(([role, def]) =>
+        `**${def.label}:** ${channels[role] ? `<#${channels[role]}>` : `unbound (#${def.fallbackName})`}`);
+      return void interaction.reply({ content: `✅ Channel routing updated.\n${lines.join('\n')}`, ephemeral: true });
+    }
+
+    if (sub === 'recap') {
+      const weekly = interaction.options.getBoolean('weekly', true);
+      updateGuildConfig(interaction.guildId, { recap: { weekly } });
+      return void interaction.reply({ content: `✅ Weekly recap ${weekly ? 'enabled' : 'disabled'}.`, ephemeral: true });
+    }
+
+    if (sub === 'web') {
+      const publicBoard = interaction.options.getBoolean('public_board', true);
+      updateGuildConfig(interaction.guildId, { web: { publicBoard } });
+      return void interaction.reply({ content: `✅ Public leaderboard: ${describePublicBoard(interaction.guildId, publicBoard)}.`, ephemeral: true });
+    }
+
+    if (sub === 'retention') {
+      const retention = { ...getGuildConfig(interaction.guildId).retention, policy: interaction.options.getString('policy', true) };
+      const days = interaction.options.getInteger('days');
+      if (days !== null) retention.days = days;
+      else if (retention.policy === 'restore') retention.days = 0; // PARKED XP NEVER EXPIRES UNLESS ASKED (NOT purge's 30-DAY DEFAULT)
+      if (retention.policy === 'purge' && !retention.days) {
+        return void interaction.reply({ content: 'Purge needs days ≥ 1.', ephemeral: true });
+      }
+      updateGuildConfig(interaction.guildId, { retention });
+      return void interaction.reply({ content: `✅ Leaver data: ${describeRetention(retention)}.`, ephemeral: true });
+    }
+
+    if (sub === 'modlog') {
+      const event = interaction.options.getString('event', true);
+      const enabled = interaction.options.getBoolean('enabled', true);
+      const conf = updateGuildConfig(interaction.guildId, { modlog: { ...getGuildConfig(interaction.guildId).modlog, [event]: enabled } });
+      return void interaction.reply({ content: `✅ ${MODLOG_EVENTS[event]} ${enabled ? 'will be' : "won't be"} logged.\n${describeModlog(conf.modlog)}`, ephemeral: true });
+    }
+
+    if (sub === 'voice') {
+      const voice = { ...getGuildConfig(interaction.guildId).voice };
+      const minCompany = interaction.options.getInteger('min_company');
+      const ignoreAfk = interaction.options.getBoolean('ignore_afk');
+      const ignoreServerMuted = interaction.options.getBoolean('ignore_server_muted');
+      const exclude = interaction.options.getChannel('exclude');
+      const include = interaction.options.getChannel('include');
+      if (minCompany !== null) voice.minCompany = minCompany;
+      if (ignoreAfk !== null) voice.ignoreAfk = ignoreAfk;
+      if (ignoreServerMuted !== null) voice.ignoreServerMuted = ignoreServerMuted;
+      const excluded = new Set(voice.excludedChannelIds);
+      if (exclude) excluded.add(exclude.id);
+      if (include) excluded.delete(include.id);
+      voice.excludedChannelIds = [...excluded];
+      updateGuildConfig(interaction.guildId, { voice });
+      return void interaction.reply({ content: `✅ Voice XP rules updated.\n${describeVoiceRules(voice)}`, ephemeral: true });
+    }
+
+    if (sub === 'text') {
+      const text = { ...getGuildConfig(interaction.guildId).text };
+      const minLength = interaction.options.getInteger('min_length');
+      const dedupe = interaction.options.getBoolean('dedupe');
+      const ignoreEmojiOnly = interaction.options.getBoolean('ignore_emoji_only');
+      const prefixes = interaction.options.getString('prefixes');
+      const randomMin = interaction.options.getInteger('random_min');
+      const randomMax = interaction.options.getInteger('random_max');
+      if (minLength !== null) text.minLength = minLength;
+      if (dedupe !== null) text.dedupe = dedupe;
+      if (ignoreEmojiOnly !== null) text.ignoreEmojiOnly = ignoreEmojiOnly;
+      if (prefixes !== null) text.ignorePrefixes = prefixes.trim().toLowerCase() === 'none' ? [] : [...new Set(prefixes.split(/\s+/).filter(Boolean))];
+      if (randomMin !== null) text.randomMin = randomMin;
+      if (randomMax !== null) text.randomMax = randomMax;
+      if (text.randomMax > 0 && text.randomMin > text.randomMax) {
+        return void interaction.reply({ content: 'random_min must be ≤ random_max.', ephemeral: true });
+      }
+      const toggle = (list, add, remove) => {
+        const set = new Set(list);
+        if (add) set.add(add.id);
+        if (remove) set.delete(remove.id);
+        return [...set];
+      };
+      text.excludedChannelIds = toggle(text.excludedChannelIds, interaction.options.getChannel('exclude_channel'), interaction.options.getChannel('include_channel'));
+      text.excludedRoleIds = toggle(text.excludedRoleIds, interaction.options.getRole('exclude_role'), interaction.options.getRole('include_role'));
+      updateGuildConfig(interaction.guildId, { text });
+      return void interaction.reply({ content: `✅ Text XP rules updated.\n${describeTextRules(text)}`, ephemeral: true });
+    }
   }
   // COMMAND: /REFRESHCROWNS (ADMIN)
   if (interaction.commandName === 'refreshcrowns') {
@@ -812,66 +3338,838 @@ client.on('interactionCreate', async (interaction) => {
     await updateCrownRoles(interaction.guild);
     return void interaction.reply({ content: '✅ Crowns updated: ⌨ Spam Lord & 🎙 Yap Lord assigned.', ephemeral: true });
   }
+}
+
+// ============================================================================
+// FEATURE: MODERATION LOG — EDITS / DELETES / ROLES / NICKNAMES / BANS / CHANNELS → LOGS CHANNEL
+//  - Each event type toggled per guild with /config modlog
+//  - Badge nicknames set by setNickRoleBadge are skipped (botNickEdits)
+// ============================================================================
+function sendModlog(guild, event, embed) {
+  if (!guild || !getGuildConfig(guild.id).modlog[event]) return;
+  getLogChannel(guild)?.send({ embeds: [embed.setTimestamp(new Date())], allowedMentions: { parse: [] } }).catch(() => {});
+}
+
+const clip = (text, max = 1024) => (!text ? '*(empty)*' : text.length > max ? text.slice(0, max - 1) + '…' : text);
+
+client.on('messageDelete', (message) => {
+  if (!message.guild || message.author?.bot) return;
+  const embed = new EmbedBuilder()
+    .setTitle('🗑️ Message deleted')
+    .setDescription(message.partial ? '*(not cached — content unknown)*' : clip(message.content, 4000))
+    .addFields(
+      { name: 'Author', value: message.author ? `<@${message.author.id}> (${message.author.id})` : 'Unknown', inline: true },
+      { name: 'Channel', value: `<#${message.channelId}>`, inline: true },
+    );
+  if (message.attachments?.size) embed.addFields({ name: 'Attachments', value: clip(message.attachments.map(a => a.name).join(', ')) });
+  sendModlog(message.guild, 'messageDelete', embed);
+});
+
+client.on('messageUpdate', (oldMessage, newMessage) => {
+  if (!newMessage.guild || newMessage.author?.bot) return;
+  if (!oldMessage.partial && oldMessage.content === newMessage.content) return; // EMBED UNFURLS, PINS
+  const embed = new EmbedBuilder()
+    .setTitle('✏️ Message edited')
+    .setURL(newMessage.url)
+    .addFields(
+      { name: 'Before', value: oldMessage.partial ? '*(not cached)*' : clip(oldMessage.content) },
+      { name: 'After', value: clip(newMessage.content) },
+      { name: 'Author', value: newMessage.author ? `<@${newMessage.author.id}>` : 'Unknown', inline: true },
+      { name: 'Channel', value: `<#${newMessage.channelId}>`, inline: true },
+    );
+  sendModlog(newMessage.guild, 'messageEdit', embed);
+});
+
+client.on('guildMemberUpdate', (oldMember, newMember) => {
+  if (oldMember.partial) return; // NOTHING TO DIFF AGAINST
+  const guild = newMember.guild;
+  const added = newMember.roles.cache.filter(r => !oldMember.roles.cache.has(r.id));
+  const removed = oldMember.roles.cache.filter(r => !newMember.roles.cache.has(r.id));
+  if (added.size || removed.size) {
+    const embed = new EmbedBuilder()
+      .setTitle('🎭 Roles changed')
+      .setDescription(`<@${newMember.id}> (${newMember.id})`);
+    if (added.size) embed.addFields({ name: 'Added', value: clip(added.map(r => `<@&${r.id}>`).join(' ')) });
+    if (removed.size) embed.addFields({ name: 'Removed', value: clip(removed.map(r => `<@&${r.id}>`).join(' ')) });
+    sendModlog(guild, 'roles', embed);
+  }
+
+  if (oldMember.nickname !== newMember.nickname) {
+    const key = mkey(guild.id, newMember.id);
+    if (botNickEdits.get(key) === newMember.nickname) { botNickEdits.delete(key); return; }
+    const embed = new EmbedBuilder()
+      .setTitle('🏷️ Nickname changed')
+      .setDescription(`<@${newMember.id}> (${newMember.id})`)
+      .addFields(
+        { name: 'Before', value: oldMember.nickname ? escapeMarkdown(oldMember.nickname) : '*(none)*', inline: true },
+        { name: 'After', value: newMember.nickname ? escapeMarkdown(newMember.nickname) : '*(none)*', inline: true },
+      );
+    sendModlog(guild, 'nicknames', embed);
+  }
+});
+
+client.on('guildBanAdd', (ban) => {
+  const embed = new EmbedBuilder()
+    .setTitle('🔨 Member banned')
+    .setDescription(`${escapeMarkdown(ban.user.tag)} (${ban.user.id})`)
+    .addFields({ name: 'Reason', value: clip(ban.reason || 'No reason given') });
+  sendModlog(ban.guild, 'bans', embed);
+});
+
+client.on('guildBanRemove', (ban) => {
+  const embed = new EmbedBuilder()
+    .setTitle('🕊️ Member unbanned')
+    .setDescription(`${escapeMarkdown(ban.user.tag)} (${ban.user.id})`);
+  sendModlog(ban.guild, 'bans', embed);
+});
+
+client.on('channelCreate', (channel) => {
+  const embed = new EmbedBuilder()
+    .setTitle('📁 Channel created')
+    .setDescription(`<#${channel.id}> — **${escapeMarkdown(channel.name)}** (${ChannelType[channel.type]})`);
+  sendModlog(channel.guild, 'channels', embed);
+});
+
+client.on('channelDelete', (channel) => {
+  if (!channel.guild) return; // DMs
+  const embed = new EmbedBuilder()
+    .setTitle('🗑️ Channel deleted')
+    .setDescription(`**#${escapeMarkdown(channel.name)}** (${ChannelType[channel.type]}, ${channel.id})`);
+  sendModlog(channel.guild, 'channels', embed);
 });
 
 // ============================================================================
-// FEATURE: GOODBYE — POST TO LOGS ONLY
+// FEATURE: GOODBYE — RICH LEAVE RECORD TO LOGS + LEAVER DATA RETENTION (/CONFIG RETENTION)
 // ============================================================================
+// TENURE / LEVEL / ROLES / NEWBIE STATUS AT THE MOMENT THEY LEFT
+function leaverFields(guild, member, meta, entry) {
+  const joinedAt = meta?.joinedAt ?? member.joinedTimestamp;
+  const xp = entry?.xp || 0;
+  const roles = member.partial ? null : member.roles.cache
+    .filter(r => r.id !== guild.id)
+    .sort((a, b) => b.position - a.position)
+    .map(r => `<@&${r.id}>`);
+  return [
+    { name: 'Joined', value: joinedAt ? `<t:${Math.floor(joinedAt / 1000)}:D> (${formatAge(Date.now() - joinedAt)} on server)` : 'Unknown', inline: true },
+    { name: 'Level', value: `${calcLevel(xp, xpCurve(guild.id))} — ${xp} XP (⌨ ${entry?.text || 0} / 🎙 ${entry?.voice || 0})`, inline: true },
+    { name: 'Newbie', value: meta?.newbieSince ? 'Yes — never promoted' : 'No', inline: true },
+    { name: 'Roles', value: roles === null ? 'Unknown (not cached)' : (roles.join(' ') || 'None').slice(0, 1024) },
+  ];
+}
+
+// APPLY THE GUILD'S RETENTION POLICY TO A LEAVER; RETURNS A ONE-LINE SUMMARY FOR THE LOG
+function retainLeaver(guild, userId) {
+  const key = mkey(guild.id, userId);
+  const { policy, days } = getGuildConfig(guild.id).retention;
+  const now = Date.now();
+  if (policy === 'restore') {
+    if (DB.xp[key]) DB.leavers[key] = { xp: DB.xp[key], leftAt: now };
+    delete DB.xp[key];
+    delete DB.members[key];
+    saveData();
+    return 'XP parked until they rejoin';
+  }
+  DB.members[key] = { ...(DB.members[key] || {}), leftAt: now };
+  saveData();
+  return policy === 'purge' ? `Data purged <t:${Math.floor((now + days * DAY_MS) / 1000)}:R> unless they rejoin` : 'Data kept';
+}
+
+// REJOIN UNDER 'restore': GIVE THE PARKED XP BACK (+ LEVEL ROLES)
+async function restoreLeaver(member) {
+  const key = mkey(member.guild.id, member.id);
+  const parked = DB.leavers[key];
+  if (!parked) return;
+  delete DB.leavers[key];
+  const entry = ensureXpEntry(key);
+  for (const f of ['xp', 'text', 'voice']) entry[f] += parked.xp[f] || 0;
+  storage.putXp(key, entry);
+  saveData();
+  await syncLevelRoles(member, calcLevel(entry.xp, xpCurve(member.guild.id)));
+  getLogChannel(member.guild)?.send({ content: `♻️ Restored **${parked.xp.xp} XP** to <@${member.id}> (left <t:${Math.floor(parked.leftAt / 1000)}:R>).`, allowedMentions: { parse: [] } }).catch(() => {});
+}
+
+// DROP EXPIRED LEAVER DATA ('purge' RECORDS, 'restore' PARKED XP WHEN days > 0)
+function purgeLeavers() {
+  const now = Date.now();
+  let changed = false;
+  for (const [key, meta] of Object.entries(DB.members)) {
+    if (!meta?.leftAt) continue;
+    const { policy, days } = getGuildConfig(key.split(':')[0]).retention;
+    if (policy !== 'purge' || now < meta.leftAt + days * DAY_MS) continue;
+    delete DB.members[key];
+    delete DB.xp[key];
+    changed = true;
+  }
+  for (const [key, parked] of Object.entries(DB.leavers)) {
+    const { days } = getGuildConfig(key.split(':')[0]).retention;
+    if (!days || now < parked.leftAt + days * DAY_MS) continue;
+    delete DB.leavers[key];
+    changed = true;
+  }
+  if (changed) saveData();
+}
+
+function startRetentionSweep() {
+  purgeLeavers();
+  forgetDepartedGuilds();
+  setInterval(() => { purgeLeavers(); forgetDepartedGuilds(); }, 60 * 60 * 1000); // hourly
+}
+
 client.on('guildMemberRemove', async (member) => {
   const guild = member.guild;
+  const key = mkey(guild.id, member.id);
+  const fields = leaverFields(guild, member, DB.members[key], DB.xp[key]);
+  fields.push({ name: 'Retention', value: retainLeaver(guild, member.id) });
   const log = getLogChannel(guild);
   if (!log) return;
-  const tpl = goodbyeConfig.get(guild.id)?.message || 'Goodbye {user} — behave out there.';
-  const msg = tpl.replace('{user}', member.user?.tag ?? 'someone');
-  log.send({ content: `📤 ${msg} (${member.id})` }).catch(() => {});
+  const payload = buildTemplatePayload(getTemplate(guild.id, 'goodbye'), { guild, user: member.user, member }, fields);
+  if (payload.content) payload.content = `📤 ${payload.content.replace('\n', ` (${member.id})\n`)}`;
+  else payload.embeds[0].setFooter({ text: `ID ${member.id}` });
+  log.send(payload).catch(() => {});
 });
 
 // ============================================================================
-// FEATURE: ERROR REPORTING — SEND ONLY ERRORS TO LOGS
+// FEATURE: ERROR REPORTING — OWNER-ONLY (NEVER TO COMMUNITY LOG CHANNELS)
+//  - Same fingerprint within ERROR_DEDUPE_MS = counted, not re-posted
+//  - At most ERROR_POSTS_PER_MIN posts per minute; the rest are counted and summarized in the next post
+//  - Destination: ERROR_WEBHOOK_URL (Discord webhook) and/or ERROR_CHANNEL_ID; neither = console only
+//  - Last ERROR_BUFFER_SIZE distinct errors kept in memory for /errors (OWNER_IDS, or the app owner/team)
 // ============================================================================
-process.on('unhandledRejection', (err) => {
-  for (const [, guild] of client.guilds.cache) {
-    getLogChannel(guild)?.send({ content: `⚠️ Unhandled rejection: ${String(err)}` }).catch(() => {});
+const ERROR_BUFFER_SIZE = 50;
+const ERROR_DEDUPE_MS = 10 * 60 * 1000;
+const ERROR_POSTS_PER_MIN = 5;
+const errorBuffer = []; // [{ id, fingerprint, name, message, stack, context, firstAt, lastAt, count, reportedAt, reportedCount }] NEWEST LAST
+const errorPosts = { windowStart: 0, count: 0, suppressed: 0 };
+const ownerIds = new Set((process.env.OWNER_IDS || '').split(',').map(id => id.trim()).filter(Boolean));
+let errorSeq = 0;
+
+// SAME ERROR = SAME NAME + MESSAGE (IDS/NUMBERS MASKED) + TOP STACK FRAME
+function errorFingerprint(err) {
+  const message = String(err?.message ?? err).replace(/\d{3,}/g, '#');
+  const frame = String(err?.stack || '').split('\n').find(l => l.trim().startsWith('at ')) || '';
+  return crypto.createHash('sha1').update(`${err?.name}|${message}|${frame.trim()}`).digest('hex').slice(0, 12);
+}
+
+function describeErrorContext(ctx) {
+  return [
+    ctx.command ? `/${ctx.command}` : ctx.event ? `event ${ctx.event}` : ctx.source,
+    ctx.guildId && `guild ${client.guilds.cache.get(ctx.guildId)?.name ?? ''} (${ctx.guildId})`,
+    ctx.userId && `user ${ctx.userId}`,
+  ].filter(Boolean).join(' · ');
+}
+
+function reportError(err, context = {}) {
+  const ctx = { source: 'unknown', ...context };
+  incMetric('bot_errors_total', { source: ctx.source });
+  console.error(`💥 [${describeErrorContext(ctx)}]`, err);
+
+  const now = Date.now();
+  const fingerprint = errorFingerprint(err);
+  let entry = errorBuffer.find(e => e.fingerprint === fingerprint);
+  if (entry) {
+    entry.count++;
+    entry.lastAt = now;
+    entry.context = ctx;
+    errorBuffer.splice(errorBuffer.indexOf(entry), 1);
+    errorBuffer.push(entry);
+    if (now - entry.reportedAt < ERROR_DEDUPE_MS) return;
+  } else {
+    entry = { id: ++errorSeq, fingerprint, name: err?.name || 'Error', message: String(err?.message ?? err), stack: String(err?.stack || ''), context: ctx, firstAt: now, lastAt: now, count: 1, reportedAt: 0, reportedCount: 0 };
+    errorBuffer.push(entry);
+    if (errorBuffer.length > ERROR_BUFFER_SIZE) errorBuffer.shift();
   }
-});
-client.on('error', (err) => {
-  for (const [, guild] of client.guilds.cache) {
-    getLogChannel(guild)?.send({ content: `⚠️ Client error: ${String(err)}` }).catch(() => {});
+
+  if (now - errorPosts.windowStart >= 60000) { errorPosts.windowStart = now; errorPosts.count = 0; }
+  if (errorPosts.count >= ERROR_POSTS_PER_MIN) { errorPosts.suppressed++; return; }
+  errorPosts.count++;
+  const repeats = entry.count - entry.reportedCount;
+  entry.reportedAt = now;
+  entry.reportedCount = entry.count;
+  const suppressed = errorPosts.suppressed;
+  errorPosts.suppressed = 0;
+  postErrorReport(entry, repeats, suppressed).catch((e) => console.error('Error report delivery failed:', e));
+}
+
+async function postErrorReport(entry, repeats, suppressed) {
+  const embed = new EmbedBuilder()
+    .setTitle(`💥 #${entry.id} ${entry.name}: ${entry.message}`.slice(0, 256))
+    .setDescription(`\`\`\`\n${(entry.stack || entry.message).slice(0, 3900)}\n\`\`\``)
+    .addFields(
+      { name: 'Where', value: describeErrorContext(entry.context).slice(0, 1024) || 'unknown' },
+      { name: 'Seen', value: `${entry.count}× total${repeats > 1 ? ` (${repeats}× since last report)` : ''} · first <t:${Math.floor(entry.firstAt / 1000)}:R>`, inline: true },
+      { name: 'Fingerprint', value: `\`${entry.fingerprint}\``, inline: true },
+    )
+    .setTimestamp(new Date(entry.lastAt));
+  if (suppressed) embed.setFooter({ text: `${suppressed} other report(s) held back by the rate limit — see /errors` });
+  const payload = { embeds: [embed.toJSON()], allowed_mentions: { parse: [] } };
+
+  if (process.env.ERROR_WEBHOOK_URL) {
+    const res = await fetch(process.env.ERROR_WEBHOOK_URL, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
+    if (!res.ok) throw new Error(`webhook responded ${res.status}`);
   }
-});
-client.on('shardError', (err) => {
-  for (const [, guild] of client.guilds.cache) {
-    getLogChannel(guild)?.send({ content: `⚠️ Shard error: ${String(err)}` }).catch(() => {});
+  if (process.env.ERROR_CHANNEL_ID && client.isReady()) {
+    const channel = await client.channels.fetch(process.env.ERROR_CHANNEL_ID).catch(() => null);
+    if (channel?.isTextBased()) await channel.send({ embeds: [embed], allowedMentions: { parse: [] } });
+  }
+}
+
+// NO OWNER_IDS: FALL BACK TO THE APPLICATION OWNER (OR EVERY TEAM MEMBER)
+async function loadOwnerIds() {
+  if (ownerIds.size) return;
+  const app = await client.application.fetch().catch(() => null);
+  const owner = app?.owner;
+  if (owner?.members) for (const id of owner.members.keys()) ownerIds.add(id);
+  else if (owner?.id) ownerIds.add(owner.id);
+}
+
+// EVERY client.on/once LISTENER REPORTS ITS OWN FAILURES WITH THE EVENT NAME (CALLED ONCE, BEFORE LOGIN)
+function guardEventListeners() {
+  for (const event of client.eventNames()) {
+    if (event === 'error' || event === 'shardError') continue;
+    for (const raw of client.rawListeners(event)) {
+      const once = typeof raw.listener === 'function';
+      const fn = once ? raw.listener : raw;
+      const guarded = async (...args) => {
+        try { await fn(...args); } catch (err) {
+          const subject = args[0];
+          reportError(err, { source: 'event', event, guildId: subject?.guild?.id ?? subject?.guildId ?? null, userId: subject?.user?.id ?? subject?.author?.id ?? null });
+        }
+      };
+      client.removeListener(event, raw);
+      client[once ? 'once' : 'on'](event, guarded);
+    }
   }
+}
+
+process.on('unhandledRejection', (err) => reportError(err, { source: 'unhandledRejection' }));
+client.on('error', (err) => reportError(err, { source: 'client' }));
+client.on('shardError', (err, shardId) => reportError(err, { source: `shard ${shardId}` }));
+// PRIVILEGED INTENTS OFF IN THE PORTAL: DISCORD CLOSES WITH 4014 AND THE SHARD NEVER RECONNECTS — SAY WHAT TO FIX
+client.on('shardDisconnect', (event) => {
+  if (event.code !== GatewayCloseCodes.DisallowedIntents) return;
+  console.error('💥 Discord refused the login: "Used disallowed intents". Enable SERVER MEMBERS INTENT and MESSAGE CONTENT INTENT under Developer Portal → your app → Bot → Privileged Gateway Intents, then restart.');
 });
 
 // Catch truly uncaught exceptions so the process doesn't die silently
-process.on('uncaughtException', (err) => {
-  console.error('Uncaught exception', err);
-  for (const [, guild] of client.guilds.cache) {
-    getLogChannel(guild)?.send({ content: `💥 Uncaught exception: ${String(err)}` }).catch(() => {});
+process.on('uncaughtException', (err) => reportError(err, { source: 'uncaughtException' }));
+
+// ============================================================================
+// ADMIN DASHBOARD — SAME EXPRESS APP (/dashboard) + PUBLIC READ-ONLY BOARDS (/board/:guildId)
+//  - Server-rendered HTML, no frontend build. Every write goes through the same helpers as the slash commands.
+//  - DASHBOARD_AUTH: token (DASHBOARD_TOKEN) | discord (OAuth2: CLIENT_SECRET + DASHBOARD_URL) | off
+// AUTH PROVIDER SHAPE: { name, mount(router), identify(req) -> session | null, canManage(session, guild) -> Promise<boolean> }
+//  - Pass any object of that shape to mountDashboard (e.g. a stub that always returns one session):
+//    import { mountDashboard } from './bot.js' — importing doesn't log in or listen (see BOOTSTRAP)
+// ============================================================================
+const DASHBOARD_SECRET = process.env.DASHBOARD_SECRET || crypto.randomBytes(32).toString('hex'); // UNSET = SESSIONS END ON RESTART
+const SESSION_COOKIE = 'dash';
+const SESSION_TTL_MS = 7 * DAY_MS;
+
+const sign = (value) => crypto.createHmac('sha256', DASHBOARD_SECRET).update(value).digest('base64url');
+function safeEqual(a, b) {
+  const x = Buffer.from(a);
+  const y = Buffer.from(b);
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+const esc = (v) => String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+// MALFORMED VALUES (BAD %-ESCAPES FROM OTHER APPS ON THE SAME HOST) ARE SKIPPED, NOT THROWN
+// EXPRESS 4 DOESN'T CATCH REJECTED PROMISES — ASYNC HANDLERS FORWARD THEM TO THE ROUTER'S ERROR HANDLER
+const wrap = (fn) => (req, res, next, ...rest) => Promise.resolve(fn(req, res, next, ...rest)).catch(next);
+
+function readCookies(req) {
+  const out = {};
+  for (const part of (req.get('cookie') || '').split(';')) {
+    const [k, ...v] = part.trim().split('=');
+    if (!k || !v.length) continue;
+    try { out[k] = decodeURIComponent(v.join('=')); } catch { /* SKIP */ }
   }
-});
+  return out;
+}
+
+// SIGNED COOKIE SESSIONS: base64url(JSON).hmac — NOTHING STORED SERVER-SIDE
+const sessions = {
+  issue(req, res, data) {
+    const body = Buffer.from(JSON.stringify({ ...data, exp: Date.now() + SESSION_TTL_MS })).toString('base64url');
+    res.cookie(SESSION_COOKIE, `${body}.${sign(body)}`, { httpOnly: true, sameSite: 'lax', secure: req.secure, maxAge: SESSION_TTL_MS, path: '/' });
+  },
+  read(req) {
+    const [body, mac] = (readCookies(req)[SESSION_COOKIE] || '').split('.');
+    if (!body || !mac || !safeEqual(mac, sign(body))) return null;
+    const data = JSON.parse(Buffer.from(body, 'base64url').toString());
+    return data.exp > Date.now() ? data : null;
+  },
+  clear(res) { res.clearCookie(SESSION_COOKIE, { path: '/' }); },
+};
+
+// LOCAL ADMIN TOKEN: ONE SHARED SECRET, FULL ACCESS TO EVERY GUILD
+function createTokenAuth(token) {
+  return {
+    name: 'token',
+    mount(router) {
+      router.get('/login', (req, res) => res.send(htmlPage('Sign in', `
+        <form method="post" action="/dashboard/login" class="card">
+          <label>Admin token <input type="password" name="token" autofocus required></label>
+          <button>Sign in</button>
+        </form>`)));
+      router.post('/login', (req, res) => {
+        if (!safeEqual(sign(String(req.body.token || '')), sign(token))) return res.status(401).send(htmlPage('Sign in', '<p class="err">Wrong token.</p><p><a href="/dashboard/login">Try again</a></p>'));
+        sessions.issue(req, res, { uid: 'admin', name: 'Admin' });
+        res.redirect('/dashboard');
+      });
+    },
+    identify: (req) => sessions.read(req),
+    canManage: async () => true,
+  };
+}
+
+// DISCORD OAUTH2 (identify scope): MEMBERS WITH MANAGE SERVER MANAGE THAT GUILD
+function createDiscordAuth({ clientId, clientSecret, baseUrl }) {
+  const redirectUri = `${baseUrl.replace(/\/$/, '')}/dashboard/callback`;
+  return {
+    name: 'discord',
+    mount(router) {
+      router.get('/login', (req, res) => {
+        const state = crypto.randomBytes(16).toString('hex');
+        res.cookie('dash_state', state, { httpOnly: true, sameSite: 'lax', secure: req.secure, maxAge: 10 * 60 * 1000, path: '/dashboard' });
+        const q = new URLSearchParams({ client_id: clientId, redirect_uri: redirectUri, response_type: 'code', scope: 'identify', state });
+        res.redirect(`https://discord.com/oauth2/authorize?${q}`);
+      });
+      router.get('/callback', async (req, res) => {
+        const state = readCookies(req).dash_state;
+        if (!req.query.code || !state || req.query.state !== state) return res.status(400).send(htmlPage('Sign in', '<p class="err">Login expired — <a href="/dashboard/login">try again</a>.</p>'));
+        try {
+          const tokenRes = await fetch('https://discord.com/api/oauth2/token', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({ client_id: clientId, client_secret: clientSecret, grant_type: 'authorization_code', code: String(req.query.code), redirect_uri: redirectUri }),
+          });
+          if (!tokenRes.ok) throw new Error(`token exchange ${tokenRes.status}`);
+          const { access_token: accessToken } = await tokenRes.json();
+          const meRes = await fetch('https://discord.com/api/users/@me', { headers: { Authorization: `Bearer ${accessToken}` } });
+          if (!meRes.ok) throw new Error(`users/@me ${meRes.status}`);
+          const me = await meRes.json();
+          if (!me?.id) throw new Error('users/@me returned no user id');
+          res.clearCookie('dash_state', { path: '/dashboard' });
+          sessions.issue(req, res, { uid: me.id, name: me.global_name || me.username });
+          res.redirect('/dashboard');
+        } catch (err) {
+          console.error('Dashboard OAuth failed:', err);
+          res.status(502).send(htmlPage('Sign in', '<p class="err">Discord login failed.</p>'));
+        }
+      });
+    },
+    identify: (req) => sessions.read(req),
+    async canManage(session, guild) {
+      const member = await guild.members.fetch(session.uid).catch(() => null);
+      return !!member?.permissions.has(PermissionFlagsBits.ManageGuild);
+    },
+  };
+}
+
+function createDashboardAuth() {
+  const mode = (process.env.DASHBOARD_AUTH || (process.env.DASHBOARD_TOKEN ? 'token' : process.env.CLIENT_SECRET && process.env.DASHBOARD_URL ? 'discord' : 'off')).toLowerCase();
+  if (mode === 'token' && process.env.DASHBOARD_TOKEN) return createTokenAuth(process.env.DASHBOARD_TOKEN);
+  if (mode === 'discord' && process.env.CLIENT_SECRET && process.env.DASHBOARD_URL) {
+    return createDiscordAuth({ clientId: process.env.CLIENT_ID, clientSecret: process.env.CLIENT_SECRET, baseUrl: process.env.DASHBOARD_URL });
+  }
+  if (mode !== 'off') console.warn(`⚠️ DASHBOARD_AUTH=${mode} is missing its settings — dashboard disabled.`);
+  return null;
+}
+
+function htmlPage(title, body) {
+  return `<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>${esc(title)}</title><style>
+body{font:15px/1.5 system-ui,sans-serif;background:#0f0f14;color:#f4f4f5;max-width:960px;margin:0 auto;padding:24px}
+a{color:#22d3ee}h1,h2{margin:.6em 0 .3em}table{width:100%;border-collapse:collapse;margin:8px 0}
+td,th{padding:6px 8px;border-bottom:1px solid #2a2a36;text-align:left}th{color:#9ca3af;font-weight:600}
+.card{background:#1b1b24;border-radius:10px;padding:16px;margin:12px 0}.muted{color:#9ca3af}.err{color:#f87171}
+input,select,button{font:inherit;background:#0f0f14;color:inherit;border:1px solid #2a2a36;border-radius:6px;padding:4px 8px;margin:2px}
+button{background:#8b5cf6;border:0;cursor:pointer}label{display:inline-block;margin:4px 12px 4px 0}
+</style></head><body>${body}</body></html>`;
+}
+
+const csrfFor = (session) => sign(`csrf:${session.uid}:${session.exp}`);
+
+// LEADERBOARD TABLE (SHARED BY THE PUBLIC PAGE AND THE DASHBOARD, q = NAME / ID SEARCH)
+function boardTable(guild, { field = 'xp', period = 'all', q = '', limit = 50 }) {
+  const curve = xpCurve(guild.id);
+  const needle = q.trim().toLowerCase();
+  const rows = rankedEntries(guild.id, field, period)
+    .map((e, i) => ({ ...e, rank: i + 1, name: displayNameIn(guild, e.userId) }))
+    .filter(e => !needle || e.name.toLowerCase().includes(needle) || e.userId.includes(needle))
+    .slice(0, limit);
+  if (!rows.length) return '<p class="muted">Nobody here yet.</p>';
+  return `<table><tr><th>#</th><th>Member</th><th>${esc(field === 'xp' ? 'XP' : `${field} XP`)}</th><th>Level</th></tr>${rows.map(e =>
+    `<tr><td>${e.rank}</td><td>${esc(e.name)}</td><td>${e.xp}</td><td>${calcLevel(DB.xp[mkey(guild.id, e.userId)]?.xp || 0, curve)}</td></tr>`).join('')}</table>`;
+}
+
+function boardFilters(action, { field, period, q }, search = true) {
+  const opt = (value, label, current) => `<option value="${value}"${value === current ? ' selected' : ''}>${esc(label)}</option>`;
+  return `<form method="get" action="${action}">
+    <select name="board">${Object.values(LEADERBOARDS).map(d => opt(d.field, d.title, field)).join('')}</select>
+    <select name="period">${Object.entries(PERIOD_LABELS).map(([p, l]) => opt(p, l, period)).join('')}</select>
+    ${search ? `<input name="q" placeholder="Search name or ID" value="${esc(q)}">` : ''}<button>Show</button></form>`;
+}
+
+function boardQuery(req) {
+  const field = ['xp', 'text', 'voice'].includes(req.query.board) ? req.query.board : 'xp';
+  const period = PERIOD_LABELS[req.query.period] ? req.query.period : 'all';
+  return { field, period, q: String(req.query.q || '').slice(0, 100) };
+}
+
+// PANEL: PENDING TEMP ROLES + NEWBIES STILL WAITING
+function pendingTables(guild) {
+  const temp = Object.values(DB.tempRoles).filter(t => t.guildId === guild.id).sort((a, b) => a.expiresAt - b.expiresAt);
+  const prefix = guild.id + ':';
+  const newbies = Object.entries(DB.members)
+    .filter(([k, meta]) => k.startsWith(prefix) && meta?.newbieSince && !meta.leftAt)
+    .map(([k, meta]) => {
+      const userId = k.slice(prefix.length);
+      const progress = newbieProgress(guild, guild.members.cache.get(userId) ?? { id: userId, pending: null }, meta);
+      return { userId, progress };
+    })
+    .sort((a, b) => a.progress.eligibleAt - b.progress.eligibleAt);
+  const when = (t) => esc(new Date(t).toISOString().replace('T', ' ').slice(0, 16) + ' UTC');
+  return `
+    <h2>Temp roles (${temp.length})</h2>
+    ${temp.length ? `<table><tr><th>Member</th><th>Role</th><th>Expires</th></tr>${temp.map(t =>
+      `<tr><td>${esc(displayNameIn(guild, t.userId))}</td><td>${esc(guild.roles.cache.get(t.roleId)?.name ?? t.roleId)}</td><td>${when(t.expiresAt)}</td></tr>`).join('')}</table>` : '<p class="muted">None.</p>'}
+    <h2>Newbies awaiting promotion (${newbies.length})</h2>
+    ${newbies.length ? `<table><tr><th>Member</th><th>Eligible</th><th>Gates</th></tr>${newbies.map(({ userId, progress }) =>
+      `<tr><td>${esc(displayNameIn(guild, userId))}</td><td>${when(progress.eligibleAt)}</td><td>${progress.checks.map(c => `${c.ok ? '✅' : '⏳'} ${esc(c.label)}`).join(' · ')}</td></tr>`).join('')}</table>` : '<p class="muted">None.</p>'}`;
+}
+
+// EDITABLE SETTINGS: FORM FIELD -> [CONFIG GROUP, KEY, PARSER]
+const DASHBOARD_SETTINGS = {
+  message_xp: ['xp', 'messageXp', (v) => intIn(v, 0, 1000)],
+  voice_xp: ['xp', 'voiceXpPerMin', (v) => intIn(v, 0, 1000)],
+  cooldown_seconds: ['xp', 'messageCooldownMs', (v) => { const n = Number(v); return v !== '' && Number.isFinite(n) && n >= 0 ? Math.round(n * 1000) : undefined; }], // EXACT SECONDS — ms() WOULD ROUND 90s TO 2m
+  min_length: ['text', 'minLength', (v) => intIn(v, 0, 200)],
+  booster_multiplier: ['boosts', 'boosterMultiplier', (v) => { const n = Number(v); return n >= 1 && n <= MAX_XP_MULTIPLIER ? n : undefined; }],
+  weekly_recap: ['recap', 'weekly', (v) => v === 'on'],
+  season_length: ['seasons', 'length', (v) => (['off', 'weekly', 'monthly'].includes(v) ? v : undefined)],
+  retention: ['retention', 'policy', (v) => (['keep', 'purge', 'restore'].includes(v) ? v : undefined)],
+  retention_days: ['retention', 'days', (v) => intIn(v, 0, 3650)],
+  public_board: ['web', 'publicBoard', (v) => v === 'on'],
+};
+
+function intIn(v, min, max) {
+  const n = Number(v);
+  return Number.isInteger(n) && n >= min && n <= max ? n : undefined;
+}
+
+function settingsForm(guild, csrf) {
+  const conf = getGuildConfig(guild.id);
+  const num = (name, value) => `<label>${esc(name.replace(/_/g, ' '))} <input name="${name}" value="${esc(value)}" size="6"></label>`;
+  const check = (name, on) => `<label><input type="checkbox" name="${name}"${on ? ' checked' : ''}> ${esc(name.replace(/_/g, ' '))}</label>`;
+  const pick = (name, values, current) => `<label>${esc(name.replace(/_/g, ' '))} <select name="${name}">${values.map(v => `<option${v === current ? ' selected' : ''}>${v}</option>`).join('')}</select></label>`;
+  return `<form method="post" action="/dashboard/${guild.id}/settings" class="card">
+    <input type="hidden" name="csrf" value="${csrf}">
+    ${num('message_xp', conf.xp.messageXp)}${num('voice_xp', conf.xp.voiceXpPerMin)}${num('cooldown_seconds', conf.xp.messageCooldownMs / 1000)}${num('min_length', conf.text.minLength)}
+    ${num('booster_multiplier', conf.boosts.boosterMultiplier)}<br>
+    ${pick('season_length', ['off', 'weekly', 'monthly'], conf.seasons.length)}${pick('retention', ['keep', 'purge', 'restore'], conf.retention.policy)}${num('retention_days', conf.retention.days)}<br>
+    ${check('weekly_recap', conf.recap.weekly)}${check('public_board', conf.web.publicBoard)}
+    <button>Save settings</button></form>`;
+}
+
+function mountDashboard(app, auth) {
+  // PUBLIC, READ-ONLY (OFF UNTIL A GUILD TURNS ON THE public board SETTING)
+  app.get('/board/:guildId', (req, res) => {
+    const guild = client.guilds.cache.get(req.params.guildId);
+    if (!guild || !getGuildConfig(guild.id).web.publicBoard) return res.status(404).send(htmlPage('Not found', '<p>No public leaderboard here.</p>'));
+    const query = boardQuery(req);
+    res.send(htmlPage(`${guild.name} — Leaderboard`, `<h1>${esc(guild.name)}</h1>${boardFilters(`/board/${guild.id}`, query, false)}${boardTable(guild, { ...query, q: '' })}`));
+  });
+
+  const router = express.Router();
+  app.use('/dashboard', router);
+  if (!auth) {
+    router.use((req, res) => res.status(404).send(htmlPage('Dashboard', '<p>The dashboard is disabled (see DASHBOARD_AUTH).</p>')));
+    return;
+  }
+  router.use(express.urlencoded({ extended: false }));
+  auth.mount(router);
+  router.get('/logout', (req, res) => { sessions.clear(res); res.redirect('/dashboard/login'); });
+
+  // EVERYTHING BELOW NEEDS A SESSION + (PER GUILD) MANAGE RIGHTS + A CSRF TOKEN ON WRITES
+  router.use((req, res, next) => {
+    req.session = auth.identify(req);
+    if (!req.session) return res.redirect('/dashboard/login');
+    if (req.method === 'POST' && !safeEqual(String(req.body.csrf || ''), csrfFor(req.session))) return res.status(403).send(htmlPage('Forbidden', '<p class="err">Form expired — reload and try again.</p>'));
+    next();
+  });
+  router.param('guildId', wrap(async (req, res, next, guildId) => {
+    req.guild = client.guilds.cache.get(guildId);
+    if (!req.guild || !(await auth.canManage(req.session, req.guild))) return res.status(403).send(htmlPage('Forbidden', '<p class="err">You can\'t manage that server.</p><p><a href="/dashboard">Back</a></p>'));
+    next();
+  }));
+
+  router.get('/', wrap(async (req, res) => {
+    const guilds = [];
+    for (const guild of client.guilds.cache.values()) if (await auth.canManage(req.session, guild)) guilds.push(guild);
+    res.send(htmlPage('Dashboard', `<p class="muted">Signed in as ${esc(req.session.name)} · <a href="/dashboard/logout">sign out</a></p><h1>Servers</h1>
+      ${guilds.map(g => `<div class="card"><a href="/dashboard/${g.id}">${esc(g.name)}</a> <span class="muted">${g.memberCount} members</span></div>`).join('') || '<p class="muted">No servers you can manage.</p>'}`));
+  }));
+
+  router.get('/:guildId', (req, res) => {
+    const guild = req.guild;
+    const query = boardQuery(req);
+    const csrf = csrfFor(req.session);
+    const notice = req.query.ok ? `<p>✅ ${esc(req.query.ok)}</p>` : req.query.err ? `<p class="err">${esc(req.query.err)}</p>` : '';
+    res.send(htmlPage(`${guild.name} — Dashboard`, `<p><a href="/dashboard">← Servers</a> · <a href="/board/${guild.id}">public board</a></p>
+      <h1>${esc(guild.name)}</h1>${notice}
+      <h2>Leaderboard</h2>${boardFilters(`/dashboard/${guild.id}`, query)}${boardTable(guild, query)}
+      <h2>Edit XP</h2>
+      <form method="post" action="/dashboard/${guild.id}/xp" class="card">
+        <input type="hidden" name="csrf" value="${csrf}">
+        <label>User ID <input name="user" required pattern="\\d{17,20}"></label>
+        <label>Amount <input name="amount" type="number" min="-${GIVEXP_MAX}" max="${GIVEXP_MAX}" required></label>
+        <label>Source <select name="source"><option>text</option><option>voice</option></select></label>
+        <button>Apply</button> <span class="muted">Journaled — revert with /xp undo.</span>
+      </form>
+      <h2>Settings</h2>${settingsForm(guild, csrf)}
+      ${pendingTables(guild)}`));
+  });
+
+  router.post('/:guildId/xp', wrap(async (req, res) => {
+    const back = (key, msg) => res.redirect(`/dashboard/${req.guild.id}?${new URLSearchParams({ [key]: msg })}`);
+    const userId = String(req.body.user || '');
+    const amount = intIn(req.body.amount, -GIVEXP_MAX, GIVEXP_MAX);
+    const source = req.body.source === 'voice' ? 'voice' : 'text';
+    if (!/^\d{17,20}$/.test(userId) || !amount) return back('err', 'Need a user ID and a non-zero amount within the cap.');
+    const res2 = await grantXp(req.guild, req.session.uid === 'admin' ? 'dashboard' : req.session.uid, userId, amount, source);
+    back('ok', `${amount > 0 ? '+' : ''}${amount} ${source} XP → ${displayNameIn(req.guild, userId)} (now ${res2.after} XP, level ${res2.newLevel}).`);
+  }));
+
+  router.post('/:guildId/settings', (req, res) => {
+    const conf = getGuildConfig(req.guild.id);
+    const patch = {};
+    const bad = [];
+    for (const [field, [group, key, parse]] of Object.entries(DASHBOARD_SETTINGS)) {
+      const value = parse(req.body[field] === undefined ? '' : String(req.body[field]));
+      if (value === undefined) { bad.push(field); continue; }
+      patch[group] = { ...(patch[group] || conf[group]), [key]: value };
+    }
+    if (patch.retention?.policy === 'purge' && !patch.retention.days) bad.push('retention_days');
+    if (bad.length) return res.redirect(`/dashboard/${req.guild.id}?${new URLSearchParams({ err: `Invalid: ${bad.join(', ')}` })}`);
+    updateGuildConfig(req.guild.id, patch);
+    if (patch.seasons.length !== 'off') openSeasonState(req.guild.id);
+    res.redirect(`/dashboard/${req.guild.id}?ok=Settings+saved`);
+  });
+
+  // BAD FORM BODIES GET A 400; ANYTHING ELSE IS REPORTED LIKE A COMMAND ERROR (EXPRESS NEEDS ALL 4 ARGS)
+  router.use((err, req, res, next) => {
+    if (err.status && err.status < 500) return res.status(err.status).send(htmlPage('Bad request', '<p class="err">Malformed request.</p>'));
+    reportError(err, { source: 'dashboard', guildId: req.guild?.id ?? null, userId: /^\d+$/.test(req.session?.uid ?? '') ? req.session.uid : null });
+    if (res.headersSent) return next(err);
+    res.status(500).send(htmlPage('Error', '<p class="err">Something went wrong.</p><p><a href="/dashboard">Back</a></p>'));
+  });
+}
+
+// ============================================================================
+// JSON API — /api/v1 (STREAM OVERLAYS, STATS SITES, GAME-NIGHT BOTS)
+//  - Authorization: Bearer <key> from /apikey create; a key only works for its own guild
+//  - Keys are stored hashed; 'write' scope adds POST …/xp (journaled like /givexp)
+//  - Fixed-window rate limit per key: API_RATE_LIMIT requests per minute
+// ============================================================================
+const API_RATE_LIMIT = 60;
+const apiWindows = new Map(); // KEY ID -> { start, count }
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+function createApiKey(guildId, { label, write, createdBy }) {
+  const list = (DB.apiKeys[guildId] ||= []);
+  const key = `lvl_${crypto.randomBytes(24).toString('base64url')}`;
+  DB.apiKeySeq[guildId] ??= list.reduce((max, k) => Math.max(max, k.id), 0); // FIRST KEY SINCE THE SEQUENCE EXISTED
+  const record = {
+    id: ++DB.apiKeySeq[guildId],
+    label,
+    hash: hashApiKey(key),
+    scopes: write ? ['read', 'write'] : ['read'],
+    createdBy,
+    createdAt: Date.now(),
+    lastUsedAt: null,
+  };
+  list.push(record);
+  saveData();
+  return { key, record };
+}
+
+// LEVEL + PROGRESS FOR ONE ENTRY (SAME MATH AS /RANK)
+function levelInfo(guildId, total) {
+  const curve = xpCurve(guildId);
+  const level = calcLevel(total, curve);
+  const floor = totalXpForLevel(level, curve);
+  const next = xpForNext(level, curve);
+  return { level, levelFloorXp: floor, nextLevelXp: next, toNext: Math.max(0, next - total), progress: next > floor ? (total - floor) / (next - floor) : 1 };
+}
+
+function mountApi(app) {
+  const api = express.Router();
+  app.use('/api/v1', api);
+  api.use(express.json({ limit: '10kb' }));
+
+  const fail = (res, status, error) => res.status(status).json({ error });
+
+  // GUILD + KEY + RATE LIMIT FOR EVERY /guilds/:guildId ROUTE
+  api.param('guildId', (req, res, next, guildId) => {
+    const [scheme, key] = (req.get('authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !key) return fail(res, 401, 'Missing "Authorization: Bearer <key>"');
+    const hash = hashApiKey(key);
+    const record = (DB.apiKeys[guildId] || []).find(k => k.hash === hash);
+    if (!record) return fail(res, 401, 'Invalid API key for this guild');
+    req.guild = client.guilds.cache.get(guildId);
+    if (!req.guild) return fail(res, 404, 'Guild not available');
+
+    const now = Date.now();
+    const bucketKey = `${guildId}:${record.id}`;
+    const win = apiWindows.get(bucketKey);
+    const bucket = win && now - win.start < 60000 ? win : { start: now, count: 0 };
+    bucket.count++;
+    apiWindows.set(bucketKey, bucket);
+    res.set({ 'X-RateLimit-Limit': String(API_RATE_LIMIT), 'X-RateLimit-Remaining': String(Math.max(0, API_RATE_LIMIT - bucket.count)) });
+    if (bucket.count > API_RATE_LIMIT) {
+      res.set('Retry-After', String(Math.ceil((bucket.start + 60000 - now) / 1000)));
+      return fail(res, 429, 'Rate limit exceeded');
+    }
+    if (!record.lastUsedAt || now - record.lastUsedAt > 60000) { record.lastUsedAt = now; saveData(); }
+    req.apiKey = record;
+    next();
+  });
+
+  const API_TYPES = { total: 'xp', text: 'text', voice: 'voice' };
+
+  api.get('/guilds/:guildId/leaderboard', (req, res) => {
+    const type = req.query.type || 'total';
+    const period = req.query.period || 'all';
+    if (!API_TYPES[type]) return fail(res, 400, 'type must be total, text or voice');
+    if (!PERIOD_LABELS[period]) return fail(res, 400, 'period must be day, week, month or all');
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 10));
+    const offset = Math.max(0, Number(req.query.offset) || 0);
+    const entries = rankedEntries(req.guild.id, API_TYPES[type], period);
+    res.json({
+      guildId: req.guild.id,
+      type,
+      period,
+      total: entries.length,
+      entries: entries.slice(offset, offset + limit).map((e, i) => {
+        const all = DB.xp[mkey(req.guild.id, e.userId)] || {};
+        return { rank: offset + i + 1, userId: e.userId, name: displayNameIn(req.guild, e.userId), value: e.xp, xp: all.xp || 0, level: levelInfo(req.guild.id, all.xp || 0).level };
+      }),
+    });
+  });
+
+  api.get('/guilds/:guildId/members/:userId/rank', (req, res) => {
+    const { userId } = req.params;
+    const entry = DB.xp[mkey(req.guild.id, userId)];
+    if (!entry) return fail(res, 404, 'No XP recorded for this member');
+    const rankIn = (field) => rankOf(req.guild.id, field, 'all', userId);
+    res.json({
+      guildId: req.guild.id,
+      userId,
+      name: displayNameIn(req.guild, userId),
+      xp: entry.xp || 0,
+      text: entry.text || 0,
+      voice: entry.voice || 0,
+      ...levelInfo(req.guild.id, entry.xp || 0),
+      rank: { total: rankIn('xp'), text: rankIn('text'), voice: rankIn('voice') },
+      crowns: Object.keys(CROWNS).filter(crown => openReign(req.guild.id, crown)?.userId === userId),
+    });
+  });
+
+  api.get('/guilds/:guildId/crowns', (req, res) => {
+    res.json({
+      guildId: req.guild.id,
+      crowns: Object.fromEntries(Object.entries(CROWNS).map(([crown, { label }]) => {
+        const reign = openReign(req.guild.id, crown);
+        return [crown, { label, holder: reign ? { userId: reign.userId, name: displayNameIn(req.guild, reign.userId), since: new Date(reign.since).toISOString() } : null }];
+      })),
+    });
+  });
+
+  api.post('/guilds/:guildId/members/:userId/xp', wrap(async (req, res) => {
+    if (!req.apiKey.scopes.includes('write')) return fail(res, 403, 'This key is read-only');
+    const { userId } = req.params;
+    const amount = req.body?.amount;
+    const source = req.body?.source ?? 'text';
+    if (!/^\d{17,20}$/.test(userId)) return fail(res, 400, 'userId must be a Discord user ID');
+    if (!Number.isInteger(amount) || amount === 0 || Math.abs(amount) > GIVEXP_MAX) return fail(res, 400, `amount must be a non-zero integer within ±${GIVEXP_MAX}`);
+    if (!['text', 'voice'].includes(source)) return fail(res, 400, 'source must be text or voice');
+    const result = await grantXp(req.guild, `api:${req.apiKey.label}`, userId, amount, source);
+    res.status(201).json({ guildId: req.guild.id, userId, amount, source, before: result.before, xp: result.after, ...levelInfo(req.guild.id, result.after), levelUp: result.levelUp });
+  }));
+
+  api.use((req, res) => fail(res, 404, 'Not found'));
+  // JSON ERRORS TOO (BAD JSON BODIES) — EXPRESS NEEDS ALL 4 ARGS TO SEE THIS AS AN ERROR HANDLER
+  api.use((err, req, res, next) => {
+    if (err.status && err.status < 500) return fail(res, err.status, 'Malformed request body');
+    reportError(err, { source: 'api', guildId: req.guild?.id ?? null });
+    if (res.headersSent) return next(err);
+    fail(res, 500, 'Internal error');
+  });
+}
+
 // ============================================================================
 // FEATURE: KEEP-ALIVE WEB SERVER (RENDER FREE)
 // - Exposes / and /health endpoints so Render Free treats this as a Web Service
 // - Optional SELF_PING_URL env var to ping itself (or use UptimeRobot every 5 min)
 // ============================================================================
-function startWebServer() {
+function startWebServer(auth = createDashboardAuth()) {
   const app = express();
   const PORT = process.env.PORT || 10000; // Render provides PORT
+  app.set('trust proxy', 1); // HTTPS IS TERMINATED BY RENDER'S PROXY (SECURE COOKIES)
 
   app.get('/', (req, res) => {
     res.type('text').send('ok ' + new Date().toISOString());
   });
 
+  // 503 WHEN THE GATEWAY IS DOWN OR THE LAST SAVE FAILED → RENDER RESTARTS US
   app.get('/health', (req, res) => {
     const ua = req.get('user-agent') || 'unknown';
     const now = new Date().toISOString();
     console.log(`💓 /health ping @ ${now} — ua=${ua}`);
-    res.json({ ok: true, ts: now, uptime: process.uptime(), guilds: client.guilds.cache.size || 0 });
+    const ready = client.isReady();
+    const ok = ready && !saveState.lastError;
+    res.status(ok ? 200 : 503).json({
+      ok,
+      ts: now,
+      uptime: process.uptime(),
+      gateway: { ready, ping: ready ? client.ws.ping : null },
+      guilds: client.guilds.cache.size || 0,
+      storage: {
+        backend: storage.name,
+        lastOkAt: saveState.lastOkAt ? new Date(saveState.lastOkAt).toISOString() : null,
+        lastError: saveState.lastError,
+        lastErrorAt: saveState.lastErrorAt ? new Date(saveState.lastErrorAt).toISOString() : null,
+        pending: saveState.saving || saveState.pending,
+      },
+    });
   });
 
+  // PROMETHEUS SCRAPE (METRICS_TOKEN SET = REQUIRE "Authorization: Bearer <token>")
+  app.get('/metrics', (req, res) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token && !safeEqual(req.get('authorization') || '', `Bearer ${token}`)) return res.status(401).type('text').send('unauthorized\n');
+    const voiceSessions = [...voiceActive.values()].reduce((n, m) => n + m.size, 0);
+    res.type('text/plain; version=0.0.4').send(renderMetrics([
+      ['bot_gateway_ready', '1 when the Discord gateway is ready', client.isReady() ? 1 : 0],
+      ['bot_gateway_ping_ms', 'Discord gateway heartbeat latency', client.isReady() ? client.ws.ping : -1],
+      ['bot_guilds', 'Guilds the bot is in', client.guilds.cache.size],
+      ['bot_voice_sessions', 'Open voice XP sessions', voiceSessions],
+      ['bot_save_in_progress', '1 while a save is running', saveState.saving ? 1 : 0],
+      ['bot_save_pending', '1 when another save is queued', saveState.pending ? 1 : 0],
+      ['bot_save_last_success_timestamp_seconds', 'Unix time of the last successful save', Math.floor(saveState.lastOkAt / 1000)],
+      ['bot_save_last_failed', '1 when the most recent save failed', saveState.lastError ? 1 : 0],
+      ['bot_save_failures_total', 'Failed saves since start', saveState.failures, 'counter'],
+      ['process_resident_memory_bytes', 'Resident memory size', process.memoryUsage().rss],
+      ['process_uptime_seconds', 'Process uptime', Math.floor(process.uptime())],
+    ]));
+  });
+
+  mountDashboard(app, auth);
+  mountApi(app);
+
   app.listen(PORT, () => console.log(`🌐 HTTP server listening on :${PORT}`));
 
   const SELF_PING_URL = process.env.SELF_PING_URL;
@@ -883,10 +4181,15 @@ function startWebServer() {
 }
 
 // ============================================================================
-// BOOTSTRAP
+// BOOTSTRAP (ONLY WHEN RUN AS `node bot.js` — AN IMPORT GETS THE EXPORTS BELOW WITHOUT A GATEWAY LOGIN)
 // ============================================================================
-startWebServer();
-registerCommands().then(() => client.login(process.env.TOKEN));
+export { client, mountDashboard, mountApi, createTokenAuth, createDiscordAuth, startWebServer };
+
+if (process.argv[1] && import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href) {
+  guardEventListeners();
+  startWebServer();
+  registerCommands().then(() => client.login(process.env.TOKEN));
+}
 
 // ============================================================================
 // RENDER DEPLOYMENT NOTES (FREE WEB SERVICE + PING)
@@ -907,6 +4210,7 @@ registerCommands().then(() => client.login(process.env.TOKEN));
 //    - Start Command:   node bot.js
 //    - Health Check:    /health
 //    - Environment:     TOKEN, CLIENT_ID, GUILD_ID (from Discord),
+//                       COMMAND_SCOPE = global (all servers) | guild | both (optional),
 //                       SELF_PING_URL = https://<your-service>.onrender.com/health (optional)
 // 3) (Optional) render.yaml you can commit:
 // --- render.yaml ---